@@ -7,40 +7,555 @@
  *
  * To Run:
  * 1. Create a new React app: `npx create-react-app inventory-client`
- * 2. Install dependencies: `npm install axios`
+ * 2. Install dependencies: `npm install axios recharts`
  * 3. (Optional) Setup Tailwind CSS in your React app.
  * 4. Replace the contents of `src/App.js` with this code.
  * 5. Run `npm start`
  *
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
+import {
+    ResponsiveContainer, ComposedChart, BarChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+} from 'recharts';
 
 // --- API Configuration ---
 const API_URL = 'http://localhost:5000/api'; // Base URL for your backend
 
+// --- Roles & Permissions ---
+// Mirrors ROLE_PERMISSIONS in the backend; used only to hide controls a role can't use.
+// The server still enforces every permission.
+const ROLE_PERMISSIONS = {
+    admin: ['items:read', 'items:write', 'items:delete', 'locations:write', 'categories:write', 'purchasing:write', 'reports:read', 'users:manage', 'audit:read', 'webhooks:manage', 'stocktake:count', 'stocktake:manage'],
+    manager: ['items:read', 'items:write', 'locations:write', 'categories:write', 'purchasing:write', 'reports:read', 'stocktake:count', 'stocktake:manage'],
+    viewer: ['items:read', 'stocktake:count'],
+};
+
+// Pages listed in the header, with the permission needed to see each
+const VIEWS = [
+    { id: 'inventory', label: 'Inventory', permission: 'items:read' },
+    { id: 'purchasing', label: 'Purchasing', permission: 'items:read' },
+    { id: 'stocktakes', label: 'Stocktakes', permission: 'stocktake:count' },
+    { id: 'categories', label: 'Categories', permission: 'categories:write' },
+    { id: 'reports', label: 'Reports', permission: 'reports:read' },
+    { id: 'trash', label: 'Trash', permission: 'items:delete' },
+    { id: 'users', label: 'Users', permission: 'users:manage' },
+    { id: 'webhooks', label: 'Webhooks', permission: 'webhooks:manage' },
+    { id: 'audit', label: 'Audit', permission: 'audit:read' },
+    { id: 'settings', label: 'Settings', permission: 'items:read' },
+];
+
+// Reads the user ({ id, username, organization, role }) out of a JWT's payload without verifying it
+const decodeToken = (token) => {
+    try {
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload)).user;
+    } catch (err) {
+        return null;
+    }
+};
+
+// True when an item tracks a reorder point and its stock is at or below it (same rule as the backend)
+const isLowStock = (item) => item.reorderPoint != null && item.quantity <= item.reorderPoint;
+
+// Shown instead of quantities the backend withholds (`quantityHidden`) while the item is in a blind stocktake
+const HIDDEN_QUANTITY = 'Hidden during count';
+
+// Formats an amount of money with two decimals
+const formatMoney = (amount) => Number(amount || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// Downloads a file from a protected route (a plain link wouldn't send the auth header)
+const downloadFile = async (url, params, filename) => {
+    const res = await axios.get(url, { params, responseType: 'blob' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(res.data);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+};
+
+// Checks whether a user's role grants a permission
+const can = (user, permission) => Boolean(ROLE_PERMISSIONS[user?.role || 'viewer']?.includes(permission));
+
+// --- Session Handling ---
+// Access tokens only last a few minutes. The refresh token trades itself in for a new pair at
+// /auth/refresh, and is replaced every time, so both are kept in local storage.
+
+// Send the stored access token from the first request after a page reload
+if (localStorage.getItem('token')) {
+    axios.defaults.headers.common['Authorization'] = `Bearer ${localStorage.getItem('token')}`;
+}
+
+// The refresh in progress, shared by every request that fails while it runs. A refresh token
+// only works once, so firing several refreshes at once would end the session.
+let pendingRefresh = null;
+
+const refreshSession = () => {
+    if (!pendingRefresh) {
+        pendingRefresh = axios.post(`${API_URL}/auth/refresh`, { refreshToken: localStorage.getItem('refreshToken') })
+            .then(res => res.data)
+            .finally(() => {
+                pendingRefresh = null;
+            });
+    }
+    return pendingRefresh;
+};
+
+// --- Offline Store ---
+// The item list and changes made without a connection are kept in IndexedDB, per user and organization.
+// Each page of items fetched is cached under its query, and adds, edits and deletes that can't reach the
+// server wait in an outbox until the connection returns. Replaying them checks each against the server's
+// current version, so a change that clashes with someone else's stays in the outbox as a conflict instead
+// of overwriting theirs. Signing out forgets the user's data on this device.
+const OFFLINE_DB_NAME = 'inventory-tracker';
+const OFFLINE_DB_VERSION = 2;
+const CONNECTION_CHECK_MS = 30 * 1000; // How often to check whether the server is back while offline
+
+let offlineDb = null;
+
+const openOfflineDb = () => {
+    if (!offlineDb) {
+        offlineDb = new Promise((resolve, reject) => {
+            const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // Version 1 kept data per organization only; it can't be told apart by user, so it's dropped
+                [...db.objectStoreNames].forEach(name => db.deleteObjectStore(name));
+                db.createObjectStore('itemLists', { keyPath: 'key' });
+                const outbox = db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                outbox.createIndex('owner', ['user', 'organization']);
+                outbox.createIndex('user', 'user');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return offlineDb;
+};
+
+// Runs `operation(store)` in a transaction and resolves with the result of the request it returns
+const withStore = async (name, mode, operation) => {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(name, mode);
+        const request = operation(transaction.objectStore(name));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+};
+
+// True when a request failed without reaching the server (offline, or the server is unreachable)
+const isNetworkError = (err) => Boolean(err) && !err.response;
+
+// Ids given to items added while offline, until the server assigns a real one
+const isPendingId = (id) => String(id).startsWith('pending-');
+
+// Cached pages are keyed "<user id>:<organization>:<query>", so a list is only ever shown to whoever fetched it
+const itemListKey = (user, params) => `${user.id}:${user.organization}:${JSON.stringify(params)}`;
+const cacheItemList = (key, list) => withStore('itemLists', 'readwrite', store => store.put({ key, ...list, savedAt: Date.now() }));
+const cachedItemList = (key) => withStore('itemLists', 'readonly', store => store.get(key));
+
+// Queued changes of a user ({ id, organization }) in their current organization, oldest first
+const outboxEntries = async (user) => {
+    const entries = await withStore('outbox', 'readonly', store => store.index('owner').getAll([user.id, user.organization]));
+    return entries.sort((a, b) => a.id - b.id);
+};
+const putOutboxEntry = (entry) => withStore('outbox', 'readwrite', store => store.put(entry));
+const removeOutboxEntry = (id) => withStore('outbox', 'readwrite', store => store.delete(id));
+
+// How many changes a user has queued in any organization
+const userOutboxCount = (userId) => withStore('outbox', 'readonly', store => store.index('user').count(userId));
+
+// Components showing the outbox re-read it whenever it changes
+const outboxListeners = new Set();
+const notifyOutboxListeners = () => outboxListeners.forEach(listener => listener());
+
+// Deletes every cached list and queued change on this device except those of `userId` (all of them without one)
+const clearOfflineData = async (userId) => {
+    const deleteOthers = (name, owner) => withStore(name, 'readwrite', (store) => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            if (!userId || owner(cursor.value) !== userId) cursor.delete();
+            cursor.continue();
+        };
+        return request;
+    });
+    await deleteOthers('itemLists', list => list.key.split(':')[0]);
+    await deleteOthers('outbox', entry => entry.user);
+    notifyOutboxListeners();
+};
+
+// Queues an add, edit or delete of an item. `item` is the item as last seen (none for an add), `data` the
+// request body and `form` the form values, kept to show conflicts. Changes to an item that already has one
+// waiting are folded into it: editing an item added offline changes what will be added, deleting it drops
+// the add, and a second edit replaces the first (still checked against the version the first one saw).
+const queueItemChange = async ({ user, type, item, data, form }) => {
+    const queued = item ? (await outboxEntries(user)).find(e => e.itemId === item._id && e.status === 'pending') : null;
+
+    if (queued?.type === 'create') {
+        if (type === 'delete') await removeOutboxEntry(queued.id);
+        else await putOutboxEntry({ ...queued, data, form, label: data.name });
+    } else {
+        if (queued) await removeOutboxEntry(queued.id);
+        await putOutboxEntry({
+            user: user.id,
+            organization: user.organization,
+            type,
+            itemId: item?._id || `pending-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            baseVersion: queued ? queued.baseVersion : item?.__v,
+            base: queued ? queued.base : item,
+            data,
+            form,
+            label: data?.name || item?.name,
+            status: 'pending',
+            queuedAt: Date.now(),
+        });
+    }
+    notifyOutboxListeners();
+};
+
+// Shows queued changes on top of a list of items: pending adds first, edits applied, deletes removed.
+// Affected items carry `pendingSync` so the list can mark them.
+const applyOutbox = (items, entries) => {
+    const pending = entries.filter(e => e.status === 'pending');
+    const deleted = new Set(pending.filter(e => e.type === 'delete').map(e => e.itemId));
+    const edits = new Map(pending.filter(e => e.type === 'update').map(e => [e.itemId, e]));
+    const added = pending
+        .filter(e => e.type === 'create')
+        .map(e => ({
+            ...e.data,
+            tags: e.form.tagsInput.split(',').map(t => t.trim()).filter(Boolean),
+            _id: e.itemId,
+            stock: [],
+            lastUpdated: e.queuedAt,
+            pendingSync: 'create',
+        }));
+
+    return [
+        ...added,
+        ...items
+            .filter(item => !deleted.has(item._id))
+            .map(item => {
+                const edit = edits.get(item._id);
+                if (!edit) return item;
+                const { tags, ...changes } = edit.data;
+                return {
+                    ...item,
+                    ...changes,
+                    tags: edit.form.tagsInput.split(',').map(t => t.trim()).filter(Boolean),
+                    lastUpdated: edit.queuedAt,
+                    pendingSync: 'update',
+                };
+            }),
+    ];
+};
+
+// Sends one queued change. Resolves to the entry with status "done" or "conflict" (with `message`, and
+// `server` holding the item as it is now when there is one). Throws when it should be sent again later.
+const replayEntry = async (entry) => {
+    const versionHeader = { 'If-Match': `"${entry.baseVersion}"` };
+    try {
+        if (entry.type === 'create') {
+            // The pending id is the key, so if an earlier attempt got through before the connection dropped,
+            // the server answers with that item instead of adding it twice
+            await axios.post(`${API_URL}/items`, entry.data, { headers: { 'Idempotency-Key': entry.itemId } });
+        } else if (entry.type === 'update') {
+            await axios.put(`${API_URL}/items/${entry.itemId}`, entry.data, { headers: versionHeader });
+        } else {
+            await axios.delete(`${API_URL}/items/${entry.itemId}`, { headers: versionHeader });
+        }
+        return { ...entry, status: 'done' };
+    } catch (err) {
+        // Try again later when the server can't be reached or the session can't be refreshed right now
+        if (isNetworkError(err) || err.response.status === 401) throw err;
+        const { message, errors, current } = err.response.data || {};
+        // Deleting something that's already gone is what was wanted anyway
+        if (entry.type === 'delete' && err.response.status === 404) return { ...entry, status: 'done' };
+        return {
+            ...entry,
+            status: 'conflict',
+            message: err.response.status === 404 ? 'The item was deleted on the server' : errors ? `${message}: ${errors.join(', ')}` : message,
+            server: current,
+        };
+    }
+};
+
+// The replay in progress, shared by everything that asks for one (like pendingRefresh)
+let pendingReplay = null;
+
+// Sends a user's queued changes for their current organization in the order they were made. Stops at the
+// first one that has to wait, leaving the rest queued. Resolves to how many changes were sent.
+const replayOutbox = (user) => {
+    if (!pendingReplay) {
+        pendingReplay = (async () => {
+            let sent = 0;
+            try {
+                for (const entry of await outboxEntries(user)) {
+                    if (entry.status !== 'pending') continue;
+                    const result = await replayEntry(entry);
+                    if (result.status === 'done') {
+                        await removeOutboxEntry(entry.id);
+                        sent += 1;
+                    } else {
+                        await putOutboxEntry(result);
+                    }
+                    notifyOutboxListeners();
+                }
+            } catch (err) {
+                if (!isNetworkError(err) && err.response?.status !== 401) throw err;
+            }
+            return sent;
+        })().finally(() => {
+            pendingReplay = null;
+        });
+    }
+    return pendingReplay;
+};
+
+// The user's queued changes in their current organization, kept current as they're added, replayed or resolved
+const useOutbox = (user) => {
+    const [entries, setEntries] = useState([]);
+    useEffect(() => {
+        if (!user?.organization) return undefined;
+        const load = () => outboxEntries(user).then(setEntries).catch(() => setEntries([]));
+        load();
+        outboxListeners.add(load);
+        return () => outboxListeners.delete(load);
+    }, [user?.id, user?.organization]);
+    return entries;
+};
+
 // --- Main App Component ---
 export default function App() {
     // State to hold the authentication token
     const [token, setToken] = useState(localStorage.getItem('token'));
+    const user = token ? decodeToken(token) : null;
 
-    // Function to set token in state and local storage
-    const handleSetToken = (newToken) => {
-        setToken(newToken);
-        if (newToken) {
-            localStorage.setItem('token', newToken);
+    // Which page is shown once logged in
+    const [view, setView] = useState('inventory');
+
+    // Organizations the user belongs to, for the switcher in the header
+    const [organizations, setOrganizations] = useState([]);
+
+    // Whether the server can be reached, and changes waiting to be sent to it
+    const [online, setOnline] = useState(navigator.onLine);
+    const [syncing, setSyncing] = useState(false);
+    const outbox = useOutbox(user);
+    const pendingCount = outbox.filter(e => e.status === 'pending').length;
+    const conflictCount = outbox.filter(e => e.status === 'conflict').length;
+
+    // Function to store a session ({ token, refreshToken }, or null to clear it) in state and local storage
+    const handleSetSession = (session) => {
+        setToken(session?.token || null);
+        if (session) {
+            localStorage.setItem('token', session.token);
+            localStorage.setItem('refreshToken', session.refreshToken);
             // Set auth token for all future axios requests
-            axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+            axios.defaults.headers.common['Authorization'] = `Bearer ${session.token}`;
         } else {
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
             delete axios.defaults.headers.common['Authorization'];
         }
     };
 
-    // Handle logout
-    const handleLogout = () => {
-        handleSetToken(null);
+    // When a request is turned away because the access token expired, refresh the session and
+    // retry it once. A 403 is retried too, since the refreshed token carries the user's current role.
+    useEffect(() => {
+        const interceptor = axios.interceptors.response.use(null, async (err) => {
+            const request = err.config;
+            const status = err.response?.status;
+            if (![401, 403].includes(status) || !request || request.retried
+                || request.url.startsWith(`${API_URL}/auth/`) || !localStorage.getItem('refreshToken')) {
+                throw err;
+            }
+
+            let session;
+            try {
+                session = await refreshSession();
+            } catch (refreshErr) {
+                // Without a connection the session may still be fine; try again once it's back
+                if (isNetworkError(refreshErr)) throw err;
+                // The session is gone (expired, revoked or signed out elsewhere): back to the login page
+                handleSetSession(null);
+                throw err;
+            }
+
+            handleSetSession(session);
+            request.retried = true;
+            request.headers['Authorization'] = `Bearer ${session.token}`;
+            return axios(request);
+        });
+        return () => axios.interceptors.response.eject(interceptor);
+    }, []);
+
+    // Follow the connection: the browser's online/offline events, and how API requests fare, since a weak
+    // signal can leave the browser "online" while requests never reach the server
+    useEffect(() => {
+        const interceptor = axios.interceptors.response.use((res) => {
+            setOnline(true);
+            return res;
+        }, (err) => {
+            setOnline(!isNetworkError(err));
+            throw err;
+        });
+        const handleOnline = () => setOnline(true);
+        const handleOffline = () => setOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            axios.interceptors.response.eject(interceptor);
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    // Send queued changes; conflicts stay in the outbox for the inventory page to show
+    const handleSync = async () => {
+        if (!user?.organization) return;
+        setSyncing(true);
+        try {
+            await replayOutbox(user);
+        } catch (err) {
+            // The outbox couldn't be read; it's tried again next time the connection returns
+        } finally {
+            setSyncing(false);
+        }
+    };
+
+    // A different user signing in on this device doesn't get the previous user's offline data
+    useEffect(() => {
+        if (user?.id) clearOfflineData(user.id).catch(() => {});
+    }, [user?.id]);
+
+    // Signing out forgets the user's offline data, so check before discarding changes that haven't synced
+    const confirmDiscardOutbox = async () => {
+        const unsent = await userOutboxCount(user.id).catch(() => 0);
+        return unsent === 0
+            || window.confirm(`${unsent} change(s) made offline haven't been sent yet and will be lost. Sign out anyway?`);
+    };
+
+    // Sync when the connection comes back, and on sign-in for changes left over from before
+    useEffect(() => {
+        if (online && token) handleSync();
+    }, [online, token, user?.organization]);
+
+    // While offline, check every so often whether the server can be reached again
+    useEffect(() => {
+        if (online || !token) return undefined;
+        const timer = setInterval(() => {
+            axios.get(`${API_URL}/organizations`).catch(() => {});
+        }, CONNECTION_CHECK_MS);
+        return () => clearInterval(timer);
+    }, [online, token]);
+
+    // Pick the component for the current view, falling back to the inventory
+    const renderView = () => {
+        const allowed = VIEWS.find(v => v.id === view && can(user, v.permission));
+        switch (allowed?.id) {
+            case 'purchasing':
+                return <PurchasingView user={user} />;
+            case 'stocktakes':
+                return <StocktakesView user={user} />;
+            case 'categories':
+                return <CategoriesView />;
+            case 'users':
+                return <UsersView currentUser={user} />;
+            case 'webhooks':
+                return <WebhooksView />;
+            case 'reports':
+                return <ReportsView />;
+            case 'audit':
+                return <AuditView />;
+            case 'trash':
+                return <TrashView />;
+            case 'settings':
+                return <SettingsView />;
+            default:
+                return <InventoryDashboard user={user} token={token} online={online} onSync={handleSync} />;
+        }
+    };
+
+    // Keep the organization list current; it changes when the user creates or joins one
+    const fetchOrganizations = async () => {
+        try {
+            const res = await axios.get(`${API_URL}/organizations`);
+            setOrganizations(res.data);
+        } catch (err) {
+            // Keep showing the list while offline
+            if (!isNetworkError(err)) setOrganizations([]);
+        }
+    };
+
+    useEffect(() => {
+        if (token) fetchOrganizations();
+    }, [token]);
+
+    // Handle switching organization: the new access token carries the organization and the role there
+    const handleSwitchOrganization = async (organizationId) => {
+        try {
+            const res = await axios.post(`${API_URL}/auth/switch-organization`, { organization: organizationId });
+            handleSetSession({ token: res.data.token, refreshToken: localStorage.getItem('refreshToken') });
+            setView('inventory');
+        } catch (err) {
+            window.alert(err.response?.data?.message || 'Failed to switch organization.');
+        }
+    };
+
+    // Handle creating an organization, then switch to it
+    const handleCreateOrganization = async () => {
+        const name = window.prompt('Name of the new organization');
+        if (!name) return;
+        try {
+            const res = await axios.post(`${API_URL}/organizations`, { name });
+            await fetchOrganizations();
+            await handleSwitchOrganization(res.data._id);
+        } catch (err) {
+            window.alert(err.response?.data?.message || 'Failed to create organization.');
+        }
+    };
+
+    // Handle joining an organization with an invitation code, then switch to it
+    const handleJoinOrganization = async () => {
+        const code = window.prompt('Invitation code');
+        if (!code) return;
+        try {
+            const res = await axios.post(`${API_URL}/invitations/accept`, { code: code.trim() });
+            await fetchOrganizations();
+            await handleSwitchOrganization(res.data._id);
+        } catch (err) {
+            window.alert(err.response?.data?.message || 'Failed to join organization.');
+        }
+    };
+
+    // Handle logout: end the session on the server too, so its refresh token can't be used again
+    const handleLogout = async () => {
+        if (!(await confirmDiscardOutbox())) return;
+        try {
+            await axios.post(`${API_URL}/auth/logout`, { refreshToken: localStorage.getItem('refreshToken') });
+        } catch (err) {
+            // Logging out locally still works if the server can't be reached
+        }
+        clearOfflineData(null).catch(() => {});
+        handleSetSession(null);
+        setView('inventory');
+    };
+
+    // Handle "sign out all devices": revoke every session of this user, including this one
+    const handleLogoutAll = async () => {
+        if (!window.confirm('Sign out on every device, including this one?') || !(await confirmDiscardOutbox())) return;
+        try {
+            await axios.post(`${API_URL}/auth/logout-all`);
+        } catch (err) {
+            window.alert(err.response?.data?.message || 'Failed to sign out other devices.');
+            return;
+        }
+        clearOfflineData(null).catch(() => {});
+        handleSetSession(null);
+        setView('inventory');
     };
 
     return (
@@ -49,33 +564,150 @@ export default function App() {
                 <nav className="container mx-auto px-6 py-4 flex justify-between items-center">
                     <h1 className="text-2xl font-bold text-gray-800">Inventory Tracker</h1>
                     {token && (
-                        <button
-                            onClick={handleLogout}
-                            className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-md transition duration-200"
-                        >
-                            Logout
-                        </button>
+                        <div className="flex items-center space-x-4">
+                            <OrganizationSwitcher
+                                organizations={organizations}
+                                current={user?.organization}
+                                onSwitch={handleSwitchOrganization}
+                                onCreate={handleCreateOrganization}
+                                onJoin={handleJoinOrganization}
+                            />
+                            <ConnectionStatus
+                                online={online}
+                                syncing={syncing}
+                                pending={pendingCount}
+                                conflicts={conflictCount}
+                                onSync={handleSync}
+                                onShowConflicts={() => setView('inventory')}
+                            />
+                            {user?.organization && VIEWS.filter(v => can(user, v.permission)).map(v => (
+                                <button
+                                    key={v.id}
+                                    onClick={() => setView(v.id)}
+                                    className={view === v.id ? 'font-semibold text-blue-600' : 'text-gray-600 hover:text-gray-800'}
+                                >
+                                    {v.label}
+                                </button>
+                            ))}
+                            <span className="text-sm text-gray-500">
+                                {user?.username} ({user?.role || 'viewer'})
+                            </span>
+                            <button
+                                onClick={handleLogoutAll}
+                                className="text-sm text-gray-600 hover:text-gray-800 hover:underline"
+                            >
+                                Sign out all devices
+                            </button>
+                            <button
+                                onClick={handleLogout}
+                                className="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-md transition duration-200"
+                            >
+                                Logout
+                            </button>
+                        </div>
                     )}
                 </nav>
             </header>
             
-            <main className="container mx-auto px-6 py-8">
-                {/* Conditionally render Login page or Inventory Dashboard */}
+            {/* Keyed by organization so every view starts afresh after switching */}
+            <main key={user?.organization || 'none'} className="container mx-auto px-6 py-8">
+                {/* Conditionally render Login page, a prompt to join an organization, or the selected view */}
                 {!token ? (
-                    <LoginPage onLoginSuccess={handleSetToken} />
+                    <LoginPage onLoginSuccess={handleSetSession} />
+                ) : !user?.organization ? (
+                    <div className="max-w-md mx-auto bg-white p-8 rounded-lg shadow-md text-center">
+                        <p className="text-gray-700 mb-4">You're not a member of any organization yet.</p>
+                        <button
+                            onClick={handleCreateOrganization}
+                            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md mr-2"
+                        >
+                            Create an organization
+                        </button>
+                        <button
+                            onClick={handleJoinOrganization}
+                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-4 py-2 rounded-md"
+                        >
+                            Join with an invitation code
+                        </button>
+                    </div>
                 ) : (
-                    <InventoryDashboard />
+                    renderView()
                 )}
             </main>
         </div>
     );
 }
 
+// --- Connection Status Component ---
+// Header badge saying whether the app is online, offline or syncing, and how many changes are waiting.
+// Clicking it while online sends waiting changes now; the conflict count leads to the inventory page.
+function ConnectionStatus({ online, syncing, pending, conflicts, onSync, onShowConflicts }) {
+    let label = 'Online';
+    let style = 'bg-green-100 text-green-700';
+    if (!online) {
+        label = pending ? `Offline · ${pending} to sync` : 'Offline';
+        style = 'bg-gray-700 text-white';
+    } else if (syncing) {
+        label = 'Syncing...';
+        style = 'bg-blue-100 text-blue-700';
+    } else if (pending) {
+        label = `${pending} to sync`;
+        style = 'bg-yellow-100 text-yellow-800';
+    }
+
+    return (
+        <span className="flex items-center space-x-1 text-xs">
+            <button
+                onClick={onSync}
+                disabled={!online || syncing || !pending}
+                title={online && pending ? 'Sync now' : undefined}
+                className={`px-2 py-1 rounded ${style}`}
+            >
+                {label}
+            </button>
+            {conflicts > 0 && (
+                <button onClick={onShowConflicts} className="px-2 py-1 rounded bg-red-100 text-red-700 hover:bg-red-200">
+                    {conflicts} {conflicts === 1 ? 'conflict' : 'conflicts'}
+                </button>
+            )}
+        </span>
+    );
+}
+
+// --- Organization Switcher Component ---
+// Lists the user's organizations in the header, plus entries to create or join another one
+function OrganizationSwitcher({ organizations, current, onSwitch, onCreate, onJoin }) {
+    const handleChange = (e) => {
+        const { value } = e.target;
+        if (value === '__create') onCreate();
+        else if (value === '__join') onJoin();
+        else onSwitch(value);
+    };
+
+    return (
+        <select
+            value={current || ''}
+            onChange={handleChange}
+            className="px-2 py-1 border rounded-md text-sm"
+            title="Organization"
+        >
+            {!current && <option value="">No organization</option>}
+            {organizations.map(o => (
+                <option key={o._id} value={o._id}>{o.name}</option>
+            ))}
+            <option value="__create">+ New organization…</option>
+            <option value="__join">+ Join with invitation code…</option>
+        </select>
+    );
+}
+
 // --- Login/Register Component ---
 function LoginPage({ onLoginSuccess }) {
     const [isLogin, setIsLogin] = useState(true);
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
+    const [organization, setOrganization] = useState(''); // Register only: name of the user's new organization
+    const [inviteCode, setInviteCode] = useState(''); // Register only: join an existing organization instead
     const [error, setError] = useState('');
     const [message, setMessage] = useState('');
 
@@ -87,11 +719,14 @@ function LoginPage({ onLoginSuccess }) {
         const endpoint = isLogin ? '/auth/login' : '/auth/register';
         
         try {
-            const res = await axios.post(`${API_URL}${endpoint}`, { username, password });
+            const body = isLogin
+                ? { username, password }
+                : { username, password, organization: organization || undefined, inviteCode: inviteCode.trim() || undefined };
+            const res = await axios.post(`${API_URL}${endpoint}`, body);
             
             if (isLogin) {
-                // If login, save the token
-                onLoginSuccess(res.data.token);
+                // If login, save the session ({ token, refreshToken })
+                onLoginSuccess(res.data);
             } else {
                 // If register, show success and switch to login
                 setMessage('Registration successful! Please log in.');
@@ -132,6 +767,33 @@ function LoginPage({ onLoginSuccess }) {
                         required
                     />
                 </div>
+                {!isLogin && (
+                    <>
+                        <div className="mb-4">
+                            <label className="block text-gray-700 mb-2" htmlFor="inviteCode">Invitation code (optional)</label>
+                            <input
+                                type="text"
+                                id="inviteCode"
+                                value={inviteCode}
+                                onChange={(e) => setInviteCode(e.target.value)}
+                                className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            />
+                        </div>
+                        {!inviteCode && (
+                            <div className="mb-6">
+                                <label className="block text-gray-700 mb-2" htmlFor="organization">Organization name (optional)</label>
+                                <input
+                                    type="text"
+                                    id="organization"
+                                    value={organization}
+                                    onChange={(e) => setOrganization(e.target.value)}
+                                    placeholder={username ? `${username}'s organization` : ''}
+                                    className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                        )}
+                    </>
+                )}
                 <button
                     type="submit"
                     className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition duration-200"
@@ -156,52 +818,409 @@ function LoginPage({ onLoginSuccess }) {
 }
 
 // --- Inventory Dashboard Component ---
-function InventoryDashboard() {
+
+// The add/edit form's values for an item (or blank values for a new one)
+const itemFormValues = (item) => ({
+    name: item?.name || '',
+    sku: item?.sku || '',
+    barcode: item?.barcode || '',
+    barcodeType: item?.barcodeType || '',
+    quantity: item?.quantity ?? '',
+    description: item?.description || '',
+    reorderPoint: item?.reorderPoint ?? '',
+    reorderQuantity: item?.reorderQuantity ?? '',
+    unitCost: item?.unitCost ?? '',
+    price: item?.price ?? '',
+    category: item?.category || '',
+    tagsInput: (item?.tags || []).join(', '),
+    attributes: item?.attributes || {},
+});
+
+// Form fields listed side by side when a save conflicts with someone else's change
+const CONFLICT_FIELDS = [
+    ['name', 'Name'],
+    ['sku', 'SKU'],
+    ['barcode', 'Barcode'],
+    ['quantity', 'Quantity'],
+    ['description', 'Description'],
+    ['reorderPoint', 'Reorder Point'],
+    ['reorderQuantity', 'Reorder Qty'],
+    ['unitCost', 'Unit Cost'],
+    ['price', 'Price'],
+    ['tagsInput', 'Tags'],
+];
+
+// Compares form values loosely, since inputs turn numbers into strings
+const sameFormValue = (a, b) => (
+    typeof a === 'object' || typeof b === 'object' ? JSON.stringify(a) === JSON.stringify(b) : String(a) === String(b)
+);
+
+function InventoryDashboard({ user, token, online, onSync }) {
     const [items, setItems] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+
+    // Offline state: when the list shown is the copy saved on this device, and changes waiting to sync
+    const [offlineCopyAt, setOfflineCopyAt] = useState(null);
+    const outbox = useOutbox(user);
+    const outboxConflicts = outbox.filter(e => e.status === 'conflict');
     
     // Form state
     const [name, setName] = useState('');
+    const [sku, setSku] = useState('');
+    const [barcode, setBarcode] = useState('');
+    const [barcodeType, setBarcodeType] = useState(''); // '' lets the server tell from the value
     const [quantity, setQuantity] = useState('');
     const [description, setDescription] = useState('');
+    const [reorderPoint, setReorderPoint] = useState('');
+    const [reorderQuantity, setReorderQuantity] = useState('');
+    const [unitCost, setUnitCost] = useState('');
+    const [price, setPrice] = useState('');
+    const [category, setCategory] = useState('');
+    const [tagsInput, setTagsInput] = useState(''); // Comma-separated
+    const [attributes, setAttributes] = useState({}); // Custom attribute values keyed by attribute key
+
+    // Categories & tags (for the form and the list filters)
+    const [categories, setCategories] = useState([]);
+    const [tags, setTags] = useState([]);
+    const [filterCategory, setFilterCategory] = useState('');
+    const [filterTag, setFilterTag] = useState('');
+
+    // Unacknowledged low-stock alerts
+    const [alerts, setAlerts] = useState([]);
+
+    // Stock valuation (only for roles that can see reports)
+    const canSeeValue = can(user, 'reports:read');
+    const [valuationMethod, setValuationMethod] = useState('fifo');
+    const [valuation, setValuation] = useState(null); // Response of GET /reports/valuation
+
+    // Scan mode: a barcode scanner types into the scan box and presses Enter
+    const [scanMode, setScanMode] = useState(false);
+
+    // The item just moved to the trash, while its undo toast is showing
+    const [deletedItem, setDeletedItem] = useState(null);
 
     // Editing state
     const [editingItem, setEditingItem] = useState(null); // Holds the item being edited
 
-    // Fetch all items from the protected route
-    const fetchItems = async () => {
+    // Search, sort and paging state (applied on the server)
+    const [searchInput, setSearchInput] = useState(''); // What's typed in the search box
+    const [search, setSearch] = useState(''); // Debounced search term actually sent
+    const [sortField, setSortField] = useState('name');
+    const [sortOrder, setSortOrder] = useState('asc');
+    const [page, setPage] = useState(1);
+    const [pageSize, setPageSize] = useState(25);
+    const [total, setTotal] = useState(0);
+    const [totalPages, setTotalPages] = useState(1);
+
+    // Set when a save hits a newer version on the server: { server: the item as it is now }
+    const [conflict, setConflict] = useState(null);
+
+    // Live update state
+    const [remoteChange, setRemoteChange] = useState(null); // Someone else's event for the item being edited
+    const editingItemRef = useRef(null); // Read by the event handler, which outlives renders
+    const fetchItemsRef = useRef(null);
+    editingItemRef.current = editingItem;
+
+    // Import dialog state
+    const [showImport, setShowImport] = useState(false);
+
+    // History drawer state
+    const [historyItem, setHistoryItem] = useState(null); // Item whose stock history is open
+    const [reservationItem, setReservationItem] = useState(null); // Item whose reservations are open
+
+    // Location state
+    const [locations, setLocations] = useState([]);
+    const [selectedLocation, setSelectedLocation] = useState(''); // '' shows all locations
+    const [newLocationName, setNewLocationName] = useState('');
+    const [newLocationKind, setNewLocationKind] = useState('stockroom');
+
+    // Queued changes, or none if the offline store can't be read
+    const queuedChanges = () => outboxEntries(user).catch(() => []);
+
+    // Shows a page of items with the changes still waiting to sync applied on top
+    const showItems = async (list) => {
+        setItems(applyOutbox(list.items, await queuedChanges()));
+        setTotal(list.total);
+        setTotalPages(Math.max(list.totalPages, 1));
+    };
+
+    // Fetch all items from the protected route, keeping a copy of each page on this device.
+    // Without a connection the saved copy of the page is shown instead.
+    // `quiet` refreshes in the background without the loading placeholder
+    const fetchItems = async (quiet = false) => {
+        const params = {
+            location: selectedLocation || undefined,
+            q: search || undefined,
+            category: filterCategory || undefined,
+            tag: filterTag || undefined,
+            sort: sortField,
+            order: sortOrder,
+            page,
+            limit: pageSize,
+        };
+        const cacheKey = itemListKey(user, params);
         try {
-            setLoading(true);
-            const res = await axios.get(`${API_URL}/items`);
-            setItems(res.data);
+            if (!quiet) setLoading(true);
+            const res = await axios.get(`${API_URL}/items`, { params });
+            cacheItemList(cacheKey, res.data).catch(() => {}); // Only the offline copy is lost if this fails
+            await showItems(res.data);
+            setOfflineCopyAt(null);
             setError('');
+            await fetchAlerts();
         } catch (err) {
-            setError('Failed to fetch items. Please check your connection or token.');
+            const saved = isNetworkError(err) ? await cachedItemList(cacheKey).catch(() => null) : null;
+            if (saved) {
+                await showItems(saved);
+                setOfflineCopyAt(saved.savedAt);
+                setError('');
+            } else if (isNetworkError(err)) {
+                setError("You're offline, and this page of items hasn't been saved on this device yet.");
+            } else {
+                setError('Failed to fetch items. Please check your connection or token.');
+            }
         } finally {
             setLoading(false);
         }
     };
+    fetchItemsRef.current = fetchItems;
 
-    // Fetch items on component mount
+    // Apply item changes made by other users as they happen.
+    // Reconnects with each new access token, since the stream can only be opened with a current one.
     useEffect(() => {
-        fetchItems();
+        const source = new EventSource(`${API_URL}/events?token=${encodeURIComponent(token)}`);
+
+        // A stream refused for an expired token isn't retried by the browser; any API call
+        // refreshes the session, and the new token reopens the stream
+        source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED) fetchAlerts();
+        };
+
+        const handleEvent = (e) => {
+            const event = JSON.parse(e.data);
+
+            // Warn when the item in the form changes underneath the user
+            const editing = editingItemRef.current;
+            if (editing && event.item._id === editing._id && event.user?.id !== user?.id) {
+                setRemoteChange(event);
+            }
+
+            if (event.type === 'item.updated') {
+                setItems(current => current.map(i => (i._id === event.item._id ? event.item : i)));
+                fetchAlerts();
+            } else {
+                // Created and deleted items shift the pages around, so reload the current one
+                fetchItemsRef.current(true);
+            }
+        };
+
+        ['item.created', 'item.updated', 'item.deleted'].forEach(type => source.addEventListener(type, handleEvent));
+        return () => source.close();
+    }, [token]);
+
+    // Handle Labels: a printable sheet for the items on the current page. `choice` is "kind:format".
+    const handlePrintLabels = async (choice) => {
+        if (!choice) return;
+        const [kind, format] = choice.split(':');
+        try {
+            await downloadFile(`${API_URL}/items/labels`, { ids: items.map(i => i._id).join(','), kind, format }, `labels.${format}`);
+        } catch (err) {
+            setError('Failed to create labels.');
+        }
+    };
+
+    // Handle Export
+    const handleExport = async (format) => {
+        try {
+            await downloadFile(`${API_URL}/items/export`, { format }, `inventory.${format}`);
+        } catch (err) {
+            setError('Failed to export inventory.');
+        }
+    };
+
+    // Fetch the value of all stock, for the total and the Value column
+    const fetchValuation = async () => {
+        try {
+            const res = await axios.get(`${API_URL}/reports/valuation`, { params: { method: valuationMethod } });
+            setValuation(res.data);
+        } catch (err) {
+            if (!isNetworkError(err)) setError('Failed to fetch stock value.'); // Offline, the rest of the page still works
+        }
+    };
+
+    // Fetch open low-stock alerts for the banner
+    const fetchAlerts = async () => {
+        try {
+            const res = await axios.get(`${API_URL}/alerts/low-stock`);
+            setAlerts(res.data);
+        } catch (err) {
+            if (!isNetworkError(err)) setError('Failed to fetch alerts.'); // Offline, the rest of the page still works
+        }
+    };
+
+    // Handle Acknowledge Alert(s)
+    const handleAcknowledge = async (alertIds) => {
+        try {
+            await Promise.all(alertIds.map(id => axios.post(`${API_URL}/alerts/${id}/acknowledge`)));
+            await fetchAlerts();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to acknowledge alert.');
+        }
+    };
+
+    // Fetch all stock locations
+    const fetchLocations = async () => {
+        try {
+            const res = await axios.get(`${API_URL}/locations`);
+            setLocations(res.data);
+        } catch (err) {
+            if (!isNetworkError(err)) setError('Failed to fetch locations.'); // Offline, the rest of the page still works
+        }
+    };
+
+    // Fetch categories (with inherited attributes) and tags in use
+    const fetchCategoriesAndTags = async () => {
+        try {
+            const [categoriesRes, tagsRes] = await Promise.all([
+                axios.get(`${API_URL}/categories`),
+                axios.get(`${API_URL}/tags`),
+            ]);
+            setCategories(categoriesRes.data);
+            setTags(tagsRes.data);
+        } catch (err) {
+            if (!isNetworkError(err)) setError('Failed to fetch categories.'); // Offline, the rest of the page still works
+        }
+    };
+
+    // Fetch locations, categories and tags on component mount
+    useEffect(() => {
+        fetchLocations();
+        fetchCategoriesAndTags();
     }, []);
 
+    // Fetch items on mount and whenever the filters, search, sort or page change
+    useEffect(() => {
+        fetchItems();
+    }, [selectedLocation, filterCategory, filterTag, search, sortField, sortOrder, page, pageSize]);
+
+    // Refresh in the background when changes are queued or synced, and when the connection comes back
+    const outboxKey = outbox.map(e => `${e.id}:${e.status}`).join(',');
+    const refreshKey = useRef(`${outboxKey}|${online}`);
+    useEffect(() => {
+        if (refreshKey.current === `${outboxKey}|${online}`) return;
+        refreshKey.current = `${outboxKey}|${online}`;
+        fetchItems(true);
+    }, [outboxKey, online]);
+
+    // Revalue whenever the listed items change (including live updates) or another method is picked
+    useEffect(() => {
+        if (canSeeValue) fetchValuation();
+    }, [items, valuationMethod]);
+
+    const itemValue = (id) => valuation?.items.find(row => row.item._id === id);
+
+    // Attribute fields for the category picked in the form
+    const attributeDefinitions = categories.find(c => c._id === category)?.allAttributes || [];
+    const categoryPath = (id) => categories.find(c => c._id === id)?.path;
+
+    // Wait for a pause in typing before searching, and start again from the first page
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            setSearch(searchInput.trim());
+            setPage(1);
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [searchInput]);
+
+    // Handle Sort Header Click: toggles the direction, or sorts ascending by a new column
+    const handleSort = (field) => {
+        if (field === sortField) {
+            setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+        } else {
+            setSortField(field);
+            setSortOrder('asc');
+        }
+        setPage(1);
+    };
+
+    const sortHeader = (field, label, className = '') => (
+        <th className={`py-2 px-3 ${className}`}>
+            <button onClick={() => handleSort(field)} className="font-bold hover:text-blue-600">
+                {label}
+                {sortField === field && (sortOrder === 'asc' ? ' ▲' : ' ▼')}
+            </button>
+        </th>
+    );
+
+    // Handle Add Location
+    const handleAddLocation = async (e) => {
+        e.preventDefault();
+        try {
+            await axios.post(`${API_URL}/locations`, { name: newLocationName, kind: newLocationKind });
+            setNewLocationName('');
+            await fetchLocations();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to add location.');
+        }
+    };
+
+    const locationName = (id) => locations.find(l => l._id === id)?.name || 'Unknown location';
+
+    // Quantity held at the selected location, or the item's total when showing all locations
+    const displayedQuantity = (item) => {
+        if (!selectedLocation) return item.quantity;
+        return item.stock?.find(s => s.location === selectedLocation)?.quantity || 0;
+    };
+
+    // Per-location breakdown shown under the quantity, including stock not yet assigned to a location
+    const stockBreakdown = (item) => {
+        const stock = item.stock || [];
+        const allocated = stock.reduce((sum, s) => sum + s.quantity, 0);
+        const parts = stock
+            .filter(s => s.quantity > 0)
+            .map(s => `${locationName(s.location)}: ${s.quantity}`);
+        if (stock.length > 0 && item.quantity > allocated) {
+            parts.push(`Unallocated: ${item.quantity - allocated}`);
+        }
+        return parts.join(' · ');
+    };
+
     // Handle Add/Update Item
     const handleFormSubmit = async (e) => {
         e.preventDefault();
         
         const itemData = { 
             name, 
+            sku,
+            barcode,
+            barcodeType: barcodeType || undefined,
             quantity: Number(quantity), 
-            description 
+            description,
+            reorderPoint,
+            reorderQuantity,
+            unitCost,
+            price,
+            category: category || null,
+            tags: tagsInput,
+            // Only send the attributes the chosen category defines (the category may have just changed)
+            attributes: Object.fromEntries(
+                attributeDefinitions.filter(def => attributes[def.key] !== undefined).map(def => [def.key, attributes[def.key]])
+            ),
         };
 
+        // Offline, or for an item with changes still waiting to sync, the change joins the outbox
+        const change = { type: editingItem ? 'update' : 'create', item: editingItem, data: itemData, form: formValues };
+        if (!navigator.onLine || editingItem?.pendingSync) {
+            if (await queueChange(change)) resetForm();
+            return;
+        }
+
         try {
             if (editingItem) {
-                // Update existing item
-                await axios.put(`${API_URL}/items/${editingItem._id}`, itemData);
+                // Update existing item, but only if nobody has changed it since it was loaded
+                await axios.put(`${API_URL}/items/${editingItem._id}`, itemData, {
+                    headers: { 'If-Match': `"${editingItem.__v}"` },
+                });
             } else {
                 // Add new item
                 await axios.post(`${API_URL}/items`, itemData);
@@ -210,38 +1229,151 @@ function InventoryDashboard() {
             // Reset form and editing state, then refetch
             resetForm();
             await fetchItems();
+            await fetchCategoriesAndTags(); // New tags may have been added
 
         } catch (err) {
-            setError(err.response?.data?.message || 'Failed to save item.');
+            if (isNetworkError(err)) {
+                if (await queueChange(change)) resetForm();
+                return;
+            }
+            if (err.response?.status === 409 && err.response.data.current) {
+                setConflict({ server: err.response.data.current });
+                return;
+            }
+            const { message, errors } = err.response?.data || {};
+            setError(errors ? `${message}: ${errors.join(', ')}` : message || 'Failed to save item.');
         }
     };
 
-    // Handle Delete Item
-    const handleDelete = async (itemId) => {
-        if (window.confirm('Are you sure you want to delete this item?')) {
-            try {
-                await axios.delete(`${API_URL}/items/${itemId}`);
-                await fetchItems(); // Refetch after delete
-            } catch (err) {
-                setError(err.response?.data?.message || 'Failed to delete item.');
-            }
+    // Keeps a change in the outbox to send once the server can be reached. Resolves to whether it was kept.
+    const queueChange = async (change) => {
+        try {
+            await queueItemChange({ user, ...change });
+            return true;
+        } catch (err) {
+            setError("You're offline and the change couldn't be saved on this device.");
+            return false;
         }
     };
 
-    // Handle Edit Button Click
-    const handleEdit = (item) => {
-        setEditingItem(item);
-        setName(item.name);
-        setQuantity(item.quantity);
-        setDescription(item.description);
+    // Offline changes the server turned down are shown with three ways out:
+    // Retry sends the change again over the server's current version, Edit loads it into the form, Discard drops it
+    const handleRetryQueued = async (entry) => {
+        await putOutboxEntry({ ...entry, status: 'pending', baseVersion: entry.server?.__v ?? entry.baseVersion, message: undefined, server: undefined });
+        notifyOutboxListeners();
+        await onSync();
     };
 
-    // Reset form
+    const handleEditQueued = async (entry) => {
+        await removeOutboxEntry(entry.id);
+        notifyOutboxListeners();
+        if (entry.server) handleEdit(entry.server);
+        else resetForm();
+        setFormValues(entry.form);
+    };
+
+    const handleDiscardQueued = async (entry) => {
+        await removeOutboxEntry(entry.id);
+        notifyOutboxListeners();
+    };
+
+    // Handle Quick Adjust (+/-): an atomic change that can't overwrite anyone else's edit
+    const handleAdjust = async (item, delta) => {
+        try {
+            const res = await axios.patch(`${API_URL}/items/${item._id}/quantity`, { delta });
+            setItems(current => current.map(i => (i._id === item._id ? res.data : i)));
+            await fetchAlerts();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to adjust quantity.');
+        }
+    };
+
+    // Current form values, in the shape itemFormValues returns
+    const formValues = { name, sku, barcode, barcodeType, quantity, description, reorderPoint, reorderQuantity, unitCost, price, category, tagsInput, attributes };
+
+    const setFormValues = (values) => {
+        setName(values.name);
+        setSku(values.sku);
+        setBarcode(values.barcode);
+        setBarcodeType(values.barcodeType);
+        setQuantity(values.quantity);
+        setDescription(values.description);
+        setReorderPoint(values.reorderPoint);
+        setReorderQuantity(values.reorderQuantity);
+        setUnitCost(values.unitCost);
+        setPrice(values.price);
+        setCategory(values.category);
+        setTagsInput(values.tagsInput);
+        setAttributes(values.attributes);
+    };
+
+    // Handle Merge: keep the fields this user changed and take everything else from the server,
+    // then carry on editing on top of the server's version
+    const handleMerge = () => {
+        const base = itemFormValues(editingItem);
+        const server = itemFormValues(conflict.server);
+        const merged = Object.fromEntries(Object.keys(server).map(key => [
+            key,
+            sameFormValue(formValues[key], base[key]) ? server[key] : formValues[key],
+        ]));
+        setEditingItem(conflict.server);
+        setConflict(null);
+        setFormValues(merged);
+    };
+
+    // Handle Delete Item
+    // Deleting only moves the item to the trash, so there's no confirmation; the toast offers an undo instead
+    const handleDelete = async (item) => {
+        if (!navigator.onLine || item.pendingSync) {
+            await queueChange({ type: 'delete', item });
+            return;
+        }
+        try {
+            await axios.delete(`${API_URL}/items/${item._id}`);
+            setDeletedItem(item);
+            await fetchItems(); // Refetch after delete
+        } catch (err) {
+            if (isNetworkError(err)) {
+                await queueChange({ type: 'delete', item });
+                return;
+            }
+            setError(err.response?.data?.message || 'Failed to delete item.');
+        }
+    };
+
+    // Handle Undo: restore the item that was just deleted
+    const handleUndoDelete = async () => {
+        const item = deletedItem;
+        setDeletedItem(null);
+        try {
+            await axios.post(`${API_URL}/items/${item._id}/restore`);
+            await fetchItems();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to restore item.');
+        }
+    };
+
+    // Hide the undo toast after a few seconds; the item can still be restored from the Trash page
+    useEffect(() => {
+        if (!deletedItem) return undefined;
+        const timer = setTimeout(() => setDeletedItem(null), 8000);
+        return () => clearTimeout(timer);
+    }, [deletedItem]);
+
+    // Handle Edit Button Click
+    const handleEdit = (item) => {
+        setEditingItem(item);
+        setRemoteChange(null);
+        setConflict(null);
+        setFormValues(itemFormValues(item));
+    };
+
+    // Reset form
     const resetForm = () => {
         setEditingItem(null);
-        setName('');
-        setQuantity('');
-        setDescription('');
+        setRemoteChange(null);
+        setConflict(null);
+        setFormValues(itemFormValues(null));
     };
 
     return (
@@ -249,67 +1381,505 @@ function InventoryDashboard() {
             
             {/* --- Add/Edit Item Form --- */}
             <div className="md:col-span-1">
+                {can(user, 'items:write') && (
+                    <div className="bg-white p-6 rounded-lg shadow-md mb-8">
+                        <h3 className="text-xl font-bold mb-4">{editingItem ? 'Edit Item' : 'Add New Item'}</h3>
+                        {conflict && (
+                            <div className="bg-red-100 border border-red-300 text-red-800 text-sm p-3 rounded-md mb-4">
+                                <p className="mb-2">Someone else saved this item first. Their values are shown next to yours.</p>
+                                <table className="w-full text-left mb-2">
+                                    <thead>
+                                        <tr>
+                                            <th className="pr-2">Field</th>
+                                            <th className="pr-2">Yours</th>
+                                            <th>Server</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {CONFLICT_FIELDS
+                                            .filter(([key]) => !sameFormValue(formValues[key], itemFormValues(conflict.server)[key]))
+                                            .map(([key, label]) => (
+                                                <tr key={key}>
+                                                    <td className="pr-2 font-semibold">{label}</td>
+                                                    <td className="pr-2">{String(formValues[key]) || '-'}</td>
+                                                    <td>{String(itemFormValues(conflict.server)[key]) || '-'}</td>
+                                                </tr>
+                                            ))}
+                                    </tbody>
+                                </table>
+                                <button
+                                    type="button"
+                                    onClick={() => handleEdit(conflict.server)}
+                                    className="font-semibold hover:underline mr-4"
+                                >
+                                    Reload theirs
+                                </button>
+                                <button type="button" onClick={handleMerge} className="font-semibold hover:underline">
+                                    Merge my changes
+                                </button>
+                            </div>
+                        )}
+                        {remoteChange && (
+                            <div className="bg-yellow-100 border border-yellow-300 text-yellow-800 text-sm p-3 rounded-md mb-4">
+                                {remoteChange.type === 'item.deleted' ? (
+                                    <>
+                                        <p className="mb-2">{remoteChange.user?.username || 'Someone'} deleted this item while you were editing it.</p>
+                                        <button type="button" onClick={resetForm} className="font-semibold hover:underline">
+                                            Discard changes
+                                        </button>
+                                    </>
+                                ) : (
+                                    <>
+                                        <p className="mb-2">{remoteChange.user?.username || 'Someone'} changed this item while you were editing it.</p>
+                                        <button
+                                            type="button"
+                                            onClick={() => handleEdit(remoteChange.item)}
+                                            className="font-semibold hover:underline mr-4"
+                                        >
+                                            Load latest
+                                        </button>
+                                        <button type="button" onClick={() => setRemoteChange(null)} className="hover:underline">
+                                            Keep mine
+                                        </button>
+                                    </>
+                                )}
+                            </div>
+                        )}
+                        <form onSubmit={handleFormSubmit}>
+                            <div className="mb-4">
+                                <label className="block text-gray-700 mb-2" htmlFor="itemName">Name</label>
+                                <input
+                                    type="text"
+                                    id="itemName"
+                                    value={name}
+                                    onChange={(e) => setName(e.target.value)}
+                                    className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    required
+                                />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-gray-700 mb-2" htmlFor="itemSku">SKU</label>
+                                <input
+                                    type="text"
+                                    id="itemSku"
+                                    value={sku}
+                                    onChange={(e) => setSku(e.target.value)}
+                                    className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-gray-700 mb-2" htmlFor="itemBarcode">Barcode</label>
+                                <div className="flex space-x-2">
+                                    <input
+                                        type="text"
+                                        id="itemBarcode"
+                                        value={barcode}
+                                        onChange={(e) => setBarcode(e.target.value)}
+                                        placeholder="Scan or type"
+                                        className="flex-1 min-w-0 px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                    <select
+                                        value={barcodeType}
+                                        onChange={(e) => setBarcodeType(e.target.value)}
+                                        className="px-2 py-2 border rounded-md"
+                                        title="Barcode type"
+                                    >
+                                        <option value="">Auto</option>
+                                        <option value="ean13">EAN-13</option>
+                                        <option value="upca">UPC-A</option>
+                                        <option value="code128">Code 128</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-gray-700 mb-2" htmlFor="itemQuantity">Quantity</label>
+                                <input
+                                    type="number"
+                                    id="itemQuantity"
+                                    value={quantity}
+                                    onChange={(e) => setQuantity(e.target.value)}
+                                    className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    required
+                                />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-gray-700 mb-2" htmlFor="itemDescription">Description</label>
+                                <textarea
+                                    id="itemDescription"
+                                    value={description}
+                                    onChange={(e) => setDescription(e.target.value)}
+                                    className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    rows="3"
+                                ></textarea>
+                            </div>
+                            <div className="mb-4 flex space-x-2">
+                                <div className="flex-1">
+                                    <label className="block text-gray-700 mb-2" htmlFor="itemReorderPoint">Reorder Point</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        id="itemReorderPoint"
+                                        value={reorderPoint}
+                                        onChange={(e) => setReorderPoint(e.target.value)}
+                                        className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </div>
+                                <div className="flex-1">
+                                    <label className="block text-gray-700 mb-2" htmlFor="itemReorderQuantity">Reorder Qty</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        id="itemReorderQuantity"
+                                        value={reorderQuantity}
+                                        onChange={(e) => setReorderQuantity(e.target.value)}
+                                        className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </div>
+                            </div>
+                            <div className="mb-4 flex space-x-2">
+                                <div className="flex-1">
+                                    <label className="block text-gray-700 mb-2" htmlFor="itemUnitCost">Unit Cost</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        id="itemUnitCost"
+                                        value={unitCost}
+                                        onChange={(e) => setUnitCost(e.target.value)}
+                                        className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </div>
+                                <div className="flex-1">
+                                    <label className="block text-gray-700 mb-2" htmlFor="itemPrice">Price</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        id="itemPrice"
+                                        value={price}
+                                        onChange={(e) => setPrice(e.target.value)}
+                                        className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    />
+                                </div>
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-gray-700 mb-2" htmlFor="itemCategory">Category</label>
+                                <select
+                                    id="itemCategory"
+                                    value={category}
+                                    onChange={(e) => setCategory(e.target.value)}
+                                    className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                >
+                                    <option value="">No category</option>
+                                    {categories.map(c => (
+                                        <option key={c._id} value={c._id}>{c.path}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            {attributeDefinitions.map(def => (
+                                <div className="mb-4" key={def.key}>
+                                    <label className="block text-gray-700 mb-2" htmlFor={`attr-${def.key}`}>
+                                        {def.label || def.key}{def.required && ' *'}
+                                    </label>
+                                    <AttributeInput
+                                        id={`attr-${def.key}`}
+                                        definition={def}
+                                        value={attributes[def.key]}
+                                        onChange={(value) => setAttributes({ ...attributes, [def.key]: value })}
+                                    />
+                                </div>
+                            ))}
+                            <div className="mb-4">
+                                <label className="block text-gray-700 mb-2" htmlFor="itemTags">Tags</label>
+                                <input
+                                    type="text"
+                                    id="itemTags"
+                                    placeholder="e.g. fragile, usb"
+                                    value={tagsInput}
+                                    onChange={(e) => setTagsInput(e.target.value)}
+                                    className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                            <div className="flex space-x-2">
+                                <button
+                                    type="submit"
+                                    className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition duration-200"
+                                >
+                                    {editingItem ? 'Update Item' : 'Add Item'}
+                                </button>
+                                {editingItem && (
+                                    <button
+                                        type="button"
+                                        onClick={resetForm}
+                                        className="flex-1 bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-md transition duration-200"
+                                    >
+                                        Cancel
+                                    </button>
+                                )}
+                            </div>
+                        </form>
+                    </div>
+                )}
+
+                {/* --- Locations --- */}
                 <div className="bg-white p-6 rounded-lg shadow-md">
-                    <h3 className="text-xl font-bold mb-4">{editingItem ? 'Edit Item' : 'Add New Item'}</h3>
-                    <form onSubmit={handleFormSubmit}>
-                        <div className="mb-4">
-                            <label className="block text-gray-700 mb-2" htmlFor="itemName">Name</label>
+                    <h3 className="text-xl font-bold mb-4">Locations</h3>
+                    {locations.length === 0 ? (
+                        <p className="text-gray-500 text-sm mb-4">No locations yet.</p>
+                    ) : (
+                        <ul className="mb-4 text-sm">
+                            {locations.map(l => (
+                                <li key={l._id} className="py-1 flex justify-between">
+                                    <span>{l.name}</span>
+                                    <span className="text-gray-500 capitalize">{l.kind}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {can(user, 'locations:write') && (
+                        <form onSubmit={handleAddLocation} className="flex space-x-2">
                             <input
                                 type="text"
-                                id="itemName"
-                                value={name}
-                                onChange={(e) => setName(e.target.value)}
-                                className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                                required
-                            />
-                        </div>
-                        <div className="mb-4">
-                            <label className="block text-gray-700 mb-2" htmlFor="itemQuantity">Quantity</label>
-                            <input
-                                type="number"
-                                id="itemQuantity"
-                                value={quantity}
-                                onChange={(e) => setQuantity(e.target.value)}
-                                className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                placeholder="New location"
+                                value={newLocationName}
+                                onChange={(e) => setNewLocationName(e.target.value)}
+                                className="flex-1 min-w-0 px-2 py-2 border rounded-md"
                                 required
                             />
-                        </div>
-                        <div className="mb-4">
-                            <label className="block text-gray-700 mb-2" htmlFor="itemDescription">Description</label>
-                            <textarea
-                                id="itemDescription"
-                                value={description}
-                                onChange={(e) => setDescription(e.target.value)}
-                                className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                                rows="3"
-                            ></textarea>
-                        </div>
-                        <div className="flex space-x-2">
-                            <button
-                                type="submit"
-                                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition duration-200"
+                            <select
+                                value={newLocationKind}
+                                onChange={(e) => setNewLocationKind(e.target.value)}
+                                className="px-2 py-2 border rounded-md"
                             >
-                                {editingItem ? 'Update Item' : 'Add Item'}
+                                <option value="stockroom">Stockroom</option>
+                                <option value="warehouse">Warehouse</option>
+                                <option value="van">Van</option>
+                                <option value="other">Other</option>
+                            </select>
+                            <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-md">
+                                Add
                             </button>
-                            {editingItem && (
-                                <button
-                                    type="button"
-                                    onClick={resetForm}
-                                    className="flex-1 bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-md transition duration-200"
-                                >
-                                    Cancel
-                                </button>
-                            )}
-                        </div>
-                    </form>
+                        </form>
+                    )}
                 </div>
             </div>
 
             {/* --- Inventory List --- */}
             <div className="md:col-span-2">
                 <div className="bg-white p-6 rounded-lg shadow-md">
-                    <h3 className="text-xl font-bold mb-4">Current Inventory</h3>
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-xl font-bold">Current Inventory</h3>
+                        <div className="flex items-center space-x-2">
+                            <button
+                                onClick={() => setScanMode(!scanMode)}
+                                className={`text-sm border px-2 py-1 rounded-md ${scanMode ? 'bg-blue-600 text-white' : 'hover:bg-gray-50'}`}
+                            >
+                                Scan
+                            </button>
+                            <select
+                                value=""
+                                onChange={(e) => handlePrintLabels(e.target.value)}
+                                disabled={items.length === 0}
+                                className="text-sm border px-2 py-1 rounded-md"
+                                title="Labels for the items on this page"
+                            >
+                                <option value="">Labels…</option>
+                                <option value="barcode:pdf">Barcodes (PDF)</option>
+                                <option value="qr:pdf">QR codes (PDF)</option>
+                                <option value="barcode:svg">Barcodes (SVG)</option>
+                                <option value="qr:svg">QR codes (SVG)</option>
+                            </select>
+                            {can(user, 'items:write') && (
+                                <button
+                                    onClick={() => setShowImport(true)}
+                                    className="text-sm border px-2 py-1 rounded-md hover:bg-gray-50"
+                                >
+                                    Import
+                                </button>
+                            )}
+                            <button
+                                onClick={() => handleExport('csv')}
+                                className="text-sm border px-2 py-1 rounded-md hover:bg-gray-50"
+                            >
+                                Export CSV
+                            </button>
+                            <button
+                                onClick={() => handleExport('json')}
+                                className="text-sm border px-2 py-1 rounded-md hover:bg-gray-50"
+                            >
+                                Export JSON
+                            </button>
+                            <select
+                                value={selectedLocation}
+                                onChange={(e) => {
+                                    setSelectedLocation(e.target.value);
+                                    setPage(1);
+                                }}
+                                className="px-2 py-1 border rounded-md text-sm"
+                            >
+                                <option value="">All locations</option>
+                                {locations.map(l => (
+                                    <option key={l._id} value={l._id}>{l.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
                     {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+                    {offlineCopyAt && (
+                        <p className="bg-gray-100 border border-gray-300 text-gray-700 text-sm p-3 rounded-md mb-4">
+                            You're offline. Showing items as of {new Date(offlineCopyAt).toLocaleString()}. Changes you make are kept on
+                            this device and sent when the connection returns.
+                        </p>
+                    )}
+                    {outboxConflicts.length > 0 && (
+                        <div className="bg-red-100 border border-red-300 text-red-800 text-sm p-3 rounded-md mb-4">
+                            <p className="font-semibold mb-2">Offline changes the server didn't accept</p>
+                            {outboxConflicts.map(entry => (
+                                <div key={entry.id} className="border-t border-red-200 py-2">
+                                    <p className="mb-1">
+                                        <span className="font-semibold">
+                                            {{ create: 'Add', update: 'Edit', delete: 'Delete' }[entry.type]} {entry.label || 'item'}
+                                        </span>
+                                        {' '}(queued {new Date(entry.queuedAt).toLocaleString()}): {entry.message}
+                                    </p>
+                                    {entry.type === 'update' && entry.server && (
+                                        <table className="w-full text-left mb-1">
+                                            <thead>
+                                                <tr>
+                                                    <th className="pr-2">Field</th>
+                                                    <th className="pr-2">Yours</th>
+                                                    <th>Server</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {CONFLICT_FIELDS
+                                                    .filter(([key]) => !sameFormValue(entry.form[key], itemFormValues(entry.server)[key]))
+                                                    .map(([key, label]) => (
+                                                        <tr key={key}>
+                                                            <td className="pr-2 font-semibold">{label}</td>
+                                                            <td className="pr-2">{String(entry.form[key]) || '-'}</td>
+                                                            <td>{String(itemFormValues(entry.server)[key]) || '-'}</td>
+                                                        </tr>
+                                                    ))}
+                                            </tbody>
+                                        </table>
+                                    )}
+                                    {entry.server && (
+                                        <button onClick={() => handleRetryQueued(entry)} className="font-semibold hover:underline mr-4">
+                                            {entry.type === 'delete' ? 'Delete anyway' : 'Keep mine'}
+                                        </button>
+                                    )}
+                                    {entry.type !== 'delete' && (entry.type === 'create' || entry.server) && (
+                                        <button onClick={() => handleEditQueued(entry)} className="font-semibold hover:underline mr-4">
+                                            Edit in form
+                                        </button>
+                                    )}
+                                    <button onClick={() => handleDiscardQueued(entry)} className="font-semibold hover:underline">
+                                        Discard mine
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                    {canSeeValue && valuation && (
+                        <div className="flex justify-between items-center bg-gray-50 border rounded-md p-3 mb-4 text-sm">
+                            <span>
+                                Inventory value: <span className="font-semibold">{formatMoney(valuation.totalValue)}</span>
+                                <span className="text-gray-500"> · at selling price {formatMoney(valuation.totalRetailValue)}</span>
+                            </span>
+                            <select
+                                value={valuationMethod}
+                                onChange={(e) => setValuationMethod(e.target.value)}
+                                className="px-2 py-1 border rounded-md"
+                            >
+                                <option value="fifo">FIFO</option>
+                                <option value="average">Weighted average</option>
+                            </select>
+                        </div>
+                    )}
+                    {scanMode && (
+                        <ScanPanel
+                            canWrite={can(user, 'items:write')}
+                            onOpen={(item) => {
+                                handleEdit(item);
+                                window.scrollTo({ top: 0, behavior: 'smooth' });
+                            }}
+                            onAdjusted={(item) => {
+                                setItems(current => current.map(i => (i._id === item._id ? item : i)));
+                                fetchAlerts();
+                            }}
+                        />
+                    )}
+                    {alerts.length > 0 && (
+                        <div className="bg-red-100 border border-red-300 text-red-800 p-3 rounded-md mb-4">
+                            <div className="flex justify-between items-center">
+                                <span className="font-semibold">
+                                    {alerts.length} {alerts.length === 1 ? 'item is' : 'items are'} low on stock
+                                </span>
+                                {can(user, 'items:write') && (
+                                    <button
+                                        onClick={() => handleAcknowledge(alerts.map(a => a._id))}
+                                        className="text-sm text-red-700 hover:underline"
+                                    >
+                                        Acknowledge all
+                                    </button>
+                                )}
+                            </div>
+                            <ul className="text-sm mt-2">
+                                {alerts.map(a => (
+                                    <li key={a._id} className="flex justify-between">
+                                        <span>
+                                            {a.item?.name || 'Deleted item'}: {a.item?.quantityHidden ? HIDDEN_QUANTITY.toLowerCase() : `${a.item?.quantity ?? a.quantity} left`}
+                                            (reorder at {a.reorderPoint}{a.item?.reorderQuantity ? `, order ${a.item.reorderQuantity}` : ''})
+                                        </span>
+                                        {can(user, 'items:write') && (
+                                            <button
+                                                onClick={() => handleAcknowledge([a._id])}
+                                                className="text-red-700 hover:underline"
+                                            >
+                                                Acknowledge
+                                            </button>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                    <div className="flex space-x-2 mb-4">
+                        <input
+                            type="search"
+                            placeholder="Search name or description..."
+                            value={searchInput}
+                            onChange={(e) => setSearchInput(e.target.value)}
+                            className="flex-1 min-w-0 px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                        />
+                        <select
+                            value={filterCategory}
+                            onChange={(e) => {
+                                setFilterCategory(e.target.value);
+                                setPage(1);
+                            }}
+                            className="px-2 py-2 border rounded-md"
+                        >
+                            <option value="">All categories</option>
+                            {categories.map(c => (
+                                <option key={c._id} value={c._id}>{c.path}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={filterTag}
+                            onChange={(e) => {
+                                setFilterTag(e.target.value);
+                                setPage(1);
+                            }}
+                            className="px-2 py-2 border rounded-md"
+                        >
+                            <option value="">All tags</option>
+                            {tags.map(t => (
+                                <option key={t} value={t}>{t}</option>
+                            ))}
+                        </select>
+                    </div>
                     {loading ? (
                         <p>Loading items...</p>
                     ) : (
@@ -317,36 +1887,123 @@ function InventoryDashboard() {
                             <table className="w-full min-w-max text-left">
                                 <thead>
                                     <tr className="border-b">
-                                        <th className="py-2 px-3">Name</th>
-                                        <th className="py-2 px-3">Quantity</th>
+                                        {sortHeader('name', 'Name')}
+                                        {sortHeader('quantity', 'On Hand')}
+                                        <th className="py-2 px-3">Reserved</th>
+                                        <th className="py-2 px-3">Available</th>
+                                        {canSeeValue && <th className="py-2 px-3">Value</th>}
                                         <th className="py-2 px-3 hidden md:table-cell">Description</th>
+                                        {sortHeader('lastUpdated', 'Last Updated', 'hidden lg:table-cell')}
                                         <th className="py-2 px-3">Actions</th>
                                     </tr>
                                 </thead>
                                 <tbody>
                                     {items.length === 0 ? (
                                         <tr>
-                                            <td colSpan="4" className="py-4 text-center text-gray-500">No items in inventory.</td>
+                                            <td colSpan={canSeeValue ? 8 : 7} className="py-4 text-center text-gray-500">
+                                                {search ? 'No items match your search.' : 'No items in inventory.'}
+                                            </td>
                                         </tr>
                                     ) : (
                                         items.map(item => (
-                                            <tr key={item._id} className="border-b hover:bg-gray-50">
-                                                <td className="py-3 px-3 font-medium">{item.name}</td>
-                                                <td className="py-3 px-3">{item.quantity}</td>
+                                            <tr key={item._id} className={`border-b ${isLowStock(item) ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-gray-50'}`}>
+                                                <td className="py-3 px-3 font-medium">
+                                                    {item.name}
+                                                    {isLowStock(item) && (
+                                                        <span className="ml-2 text-xs bg-red-500 text-white px-2 py-0.5 rounded">Low</span>
+                                                    )}
+                                                    {item.pendingSync && (
+                                                        <span className="ml-2 text-xs bg-yellow-300 text-yellow-900 px-2 py-0.5 rounded">Not synced</span>
+                                                    )}
+                                                    {item.sku && <div className="text-xs text-gray-500">{item.sku}</div>}
+                                                    {item.barcode && <div className="text-xs text-gray-400 font-mono">{item.barcode}</div>}
+                                                    {item.category && (
+                                                        <div className="text-xs text-gray-500">{categoryPath(item.category)}</div>
+                                                    )}
+                                                    {item.tags?.length > 0 && (
+                                                        <div className="mt-1">
+                                                            {item.tags.map(t => (
+                                                                <span key={t} className="mr-1 text-xs bg-gray-200 text-gray-700 px-2 py-0.5 rounded">{t}</span>
+                                                            ))}
+                                                        </div>
+                                                    )}
+                                                </td>
+                                                <td className="py-3 px-3">
+                                                    {can(user, 'items:write') && !isPendingId(item._id) && (
+                                                        <button
+                                                            onClick={() => handleAdjust(item, -1)}
+                                                            disabled={item.quantity === 0}
+                                                            className="text-gray-500 hover:text-gray-800 disabled:opacity-30 mr-2"
+                                                            title="Take one out"
+                                                        >
+                                                            −
+                                                        </button>
+                                                    )}
+                                                    {item.quantityHidden ? <span className="text-gray-400 italic">{HIDDEN_QUANTITY}</span> : displayedQuantity(item)}
+                                                    {can(user, 'items:write') && !isPendingId(item._id) && (
+                                                        <button
+                                                            onClick={() => handleAdjust(item, 1)}
+                                                            className="text-gray-500 hover:text-gray-800 ml-2"
+                                                            title="Add one"
+                                                        >
+                                                            +
+                                                        </button>
+                                                    )}
+                                                    {selectedLocation && !item.quantityHidden && (
+                                                        <span className="text-gray-400 text-sm"> of {item.quantity}</span>
+                                                    )}
+                                                    <div className="text-xs text-gray-500">{stockBreakdown(item)}</div>
+                                                </td>
+                                                <td className="py-3 px-3 text-gray-600">{item.quantityHidden ? '-' : item.reserved || 0}</td>
+                                                <td className={`py-3 px-3 ${item.available <= 0 ? 'text-red-600 font-semibold' : ''}`}>
+                                                    {item.quantityHidden ? '-' : item.available ?? item.quantity - (item.reserved || 0)}
+                                                </td>
+                                                {canSeeValue && (
+                                                    <td className="py-3 px-3 text-sm">
+                                                        {formatMoney(itemValue(item._id)?.value)}
+                                                        {itemValue(item._id) && (
+                                                            <div className="text-xs text-gray-500">@ {formatMoney(itemValue(item._id).unitCost)}</div>
+                                                        )}
+                                                    </td>
+                                                )}
                                                 <td className="py-3 px-3 hidden md:table-cell text-sm text-gray-600">{item.description || 'N/A'}</td>
+                                                <td className="py-3 px-3 hidden lg:table-cell text-sm text-gray-600">
+                                                    {new Date(item.lastUpdated).toLocaleDateString()}
+                                                </td>
                                                 <td className="py-3 px-3">
-                                                    <button
-                                                        onClick={() => handleEdit(item)}
-                                                        className="text-blue-500 hover:text-blue-700 mr-3 text-sm"
-                                                    >
-                                                        Edit
-                                                    </button>
-                                                    <button
-                                                        onClick={() => handleDelete(item._id)}
-                                                        className="text-red-500 hover:text-red-700 text-sm"
-                                                    >
-                                                        Delete
-                                                    </button>
+                                                    {/* An item added offline has nothing on the server to show yet */}
+                                                    {!isPendingId(item._id) && (
+                                                        <>
+                                                            <button
+                                                                onClick={() => setHistoryItem(item)}
+                                                                className="text-gray-500 hover:text-gray-700 mr-3 text-sm"
+                                                            >
+                                                                History
+                                                            </button>
+                                                            <button
+                                                                onClick={() => setReservationItem(item)}
+                                                                className="text-gray-500 hover:text-gray-700 mr-3 text-sm"
+                                                            >
+                                                                Reservations
+                                                            </button>
+                                                        </>
+                                                    )}
+                                                    {can(user, 'items:write') && (
+                                                        <button
+                                                            onClick={() => handleEdit(item)}
+                                                            className="text-blue-500 hover:text-blue-700 mr-3 text-sm"
+                                                        >
+                                                            Edit
+                                                        </button>
+                                                    )}
+                                                    {can(user, 'items:delete') && (
+                                                        <button
+                                                            onClick={() => handleDelete(item)}
+                                                            className="text-red-500 hover:text-red-700 text-sm"
+                                                        >
+                                                            Delete
+                                                        </button>
+                                                    )}
                                                 </td>
                                             </tr>
                                         ))
@@ -355,8 +2012,3275 @@ function InventoryDashboard() {
                             </table>
                         </div>
                     )}
+
+                    {/* --- Pager --- */}
+                    <div className="flex justify-between items-center mt-4 text-sm">
+                        <span className="text-gray-600">
+                            Page {page} of {totalPages} ({total} {total === 1 ? 'item' : 'items'})
+                        </span>
+                        <div className="flex items-center space-x-2">
+                            <select
+                                value={pageSize}
+                                onChange={(e) => {
+                                    setPageSize(Number(e.target.value));
+                                    setPage(1);
+                                }}
+                                className="px-2 py-1 border rounded-md"
+                            >
+                                {[10, 25, 50, 100].map(size => (
+                                    <option key={size} value={size}>{size} per page</option>
+                                ))}
+                            </select>
+                            <button
+                                onClick={() => setPage(page - 1)}
+                                disabled={page <= 1}
+                                className="border px-3 py-1 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                            >
+                                Previous
+                            </button>
+                            <button
+                                onClick={() => setPage(page + 1)}
+                                disabled={page >= totalPages}
+                                className="border px-3 py-1 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                            >
+                                Next
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            {/* --- Stock History Drawer --- */}
+            {showImport && (
+                <ImportDialog
+                    onClose={() => setShowImport(false)}
+                    onImported={fetchItems}
+                />
+            )}
+
+            {historyItem && (
+                <HistoryDrawer
+                    item={historyItem}
+                    locations={locations}
+                    canWrite={can(user, 'items:write')}
+                    onClose={() => setHistoryItem(null)}
+                    onStockChange={fetchItems}
+                />
+            )}
+
+            {reservationItem && (
+                <ReservationsDrawer
+                    item={items.find(i => i._id === reservationItem._id) || reservationItem}
+                    locations={locations}
+                    canWrite={can(user, 'items:write')}
+                    onClose={() => setReservationItem(null)}
+                    onChange={() => fetchItems(true)}
+                />
+            )}
+
+            {/* --- Undo Toast --- */}
+            {deletedItem && (
+                <div className="fixed bottom-6 left-1/2 -translate-x-1/2 transform bg-gray-800 text-white px-4 py-3 rounded-md shadow-lg flex items-center space-x-4">
+                    <span>"{deletedItem.name}" moved to the trash.</span>
+                    <button onClick={handleUndoDelete} className="font-semibold text-blue-300 hover:text-blue-200">
+                        Undo
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// --- Scan Panel Component ---
+// Looks up each scanned code and either opens the item for editing or books stock in or out.
+// Scanners act as keyboards, so the box keeps the focus between scans.
+function ScanPanel({ canWrite, onOpen, onAdjusted }) {
+    const [code, setCode] = useState('');
+    const [action, setAction] = useState('open'); // open | add | remove
+    const [amount, setAmount] = useState(1);
+    const [log, setLog] = useState([]); // Most recent scans first
+    const inputRef = useRef(null);
+
+    useEffect(() => {
+        inputRef.current?.focus();
+    }, [action]);
+
+    const addToLog = (entry) => setLog(current => [{ ...entry, at: new Date() }, ...current].slice(0, 10));
+
+    const handleScan = async (e) => {
+        e.preventDefault();
+        const scanned = code.trim();
+        setCode('');
+        inputRef.current?.focus();
+        if (!scanned) return;
+
+        try {
+            const res = await axios.get(`${API_URL}/items/lookup`, { params: { code: scanned } });
+            const item = res.data;
+
+            if (action === 'open' || !canWrite) {
+                addToLog({ code: scanned, text: `Opened ${item.name}` });
+                onOpen(item);
+                return;
+            }
+
+            const delta = action === 'add' ? Number(amount) : -Number(amount);
+            const adjusted = await axios.patch(`${API_URL}/items/${item._id}/quantity`, { delta, reason: 'Scanned' });
+            addToLog({ code: scanned, text: `${item.name}: ${item.quantity} → ${adjusted.data.quantity}` });
+            onAdjusted(adjusted.data);
+        } catch (err) {
+            addToLog({ code: scanned, text: err.response?.data?.message || 'Scan failed', failed: true });
+        }
+    };
+
+    return (
+        <div className="border border-blue-200 bg-blue-50 p-3 rounded-md mb-4">
+            <form onSubmit={handleScan} className="flex flex-wrap items-center gap-2">
+                <input
+                    ref={inputRef}
+                    type="text"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder="Scan a barcode or type a SKU, then Enter"
+                    className="flex-1 min-w-0 px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <select value={action} onChange={(e) => setAction(e.target.value)} className="px-2 py-2 border rounded-md">
+                    <option value="open">Open item</option>
+                    {canWrite && <option value="add">Add stock</option>}
+                    {canWrite && <option value="remove">Remove stock</option>}
+                </select>
+                {action !== 'open' && (
+                    <input
+                        type="number"
+                        min="1"
+                        value={amount}
+                        onChange={(e) => setAmount(e.target.value)}
+                        className="w-20 px-2 py-2 border rounded-md"
+                        title="Quantity per scan"
+                    />
+                )}
+            </form>
+            {log.length > 0 && (
+                <ul className="text-sm mt-2 space-y-1">
+                    {log.map((entry, i) => (
+                        <li key={i} className={entry.failed ? 'text-red-600' : 'text-gray-700'}>
+                            <span className="font-mono text-gray-500 mr-2">{entry.code}</span>
+                            {entry.text}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+// --- Attribute Input Component ---
+// Renders the right kind of input for a category's custom attribute
+function AttributeInput({ id, definition, value, onChange }) {
+    const className = 'w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    switch (definition.type) {
+        case 'boolean':
+            return (
+                <input
+                    type="checkbox"
+                    id={id}
+                    checked={value === true}
+                    onChange={(e) => onChange(e.target.checked)}
+                />
+            );
+        case 'select':
+            return (
+                <select id={id} value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={className}>
+                    <option value="">Choose...</option>
+                    {definition.options.map(o => (
+                        <option key={o} value={o}>{o}</option>
+                    ))}
+                </select>
+            );
+        case 'date':
+            return (
+                <input
+                    type="date"
+                    id={id}
+                    value={value ? String(value).slice(0, 10) : ''}
+                    onChange={(e) => onChange(e.target.value)}
+                    className={className}
+                />
+            );
+        default:
+            return (
+                <input
+                    type={definition.type === 'number' ? 'number' : 'text'}
+                    id={id}
+                    value={value ?? ''}
+                    onChange={(e) => onChange(e.target.value)}
+                    className={className}
+                />
+            );
+    }
+}
+
+// --- Reservations Drawer Component ---
+// An item's active reservations, with forms to reserve more and to release or fulfil each one
+const RESERVATION_TTL_DAYS = 14; // Matches the backend default
+
+function ReservationsDrawer({ item, locations, canWrite, onClose, onChange }) {
+    const [reservations, setReservations] = useState(null);
+    const [error, setError] = useState('');
+
+    // Reserve form state
+    const [quantity, setQuantity] = useState('');
+    const [reference, setReference] = useState('');
+    const [expiresOn, setExpiresOn] = useState(() => {
+        const date = new Date(Date.now() + RESERVATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+        return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+    });
+    const [note, setNote] = useState('');
+
+    // Where fulfilled stock is issued from ('' means unallocated stock)
+    const [fulfilLocation, setFulfilLocation] = useState('');
+
+    const fetchReservations = async () => {
+        try {
+            const res = await axios.get(`${API_URL}/reservations`, { params: { item: item._id, limit: 100 } });
+            setReservations(res.data.reservations);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch reservations.');
+        }
+    };
+
+    useEffect(() => {
+        fetchReservations();
+    }, [item._id, item.reserved]);
+
+    const handleReserve = async (e) => {
+        e.preventDefault();
+        try {
+            await axios.post(`${API_URL}/reservations`, {
+                item: item._id,
+                quantity: Number(quantity),
+                reference,
+                note: note || undefined,
+                expiresAt: new Date(`${expiresOn}T23:59:59.999`).toISOString(), // End of the chosen day
+            });
+            setQuantity('');
+            setReference('');
+            setNote('');
+            await fetchReservations();
+            await onChange();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to reserve stock.');
+        }
+    };
+
+    const handleClose = async (reservation, action) => {
+        try {
+            await axios.post(`${API_URL}/reservations/${reservation._id}/${action}`, action === 'fulfil'
+                ? { location: fulfilLocation || undefined }
+                : {});
+            await fetchReservations();
+            await onChange();
+        } catch (err) {
+            setError(err.response?.data?.message || `Failed to ${action} reservation.`);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 flex justify-end">
+            <div className="absolute inset-0 bg-black bg-opacity-30" onClick={onClose}></div>
+            <div className="relative w-full max-w-md h-full bg-white shadow-xl p-6 overflow-y-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold">Reservations: {item.name}</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-700">Close</button>
+                </div>
+
+                <div className="grid grid-cols-3 gap-2 text-center mb-4">
+                    <div className="bg-gray-50 rounded-md p-2">
+                        <div className="text-xs text-gray-500">On hand</div>
+                        <div className="text-lg font-semibold">{item.quantityHidden ? '-' : item.quantity}</div>
+                    </div>
+                    <div className="bg-gray-50 rounded-md p-2">
+                        <div className="text-xs text-gray-500">Reserved</div>
+                        <div className="text-lg font-semibold">{item.quantityHidden ? '-' : item.reserved || 0}</div>
+                    </div>
+                    <div className="bg-gray-50 rounded-md p-2">
+                        <div className="text-xs text-gray-500">Available</div>
+                        <div className="text-lg font-semibold">{item.quantityHidden ? '-' : item.quantity - (item.reserved || 0)}</div>
+                    </div>
                 </div>
+
+                {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+                {canWrite && (
+                    <form onSubmit={handleReserve} className="mb-6 space-y-2">
+                        <h4 className="font-semibold">Reserve Stock</h4>
+                        <div className="flex space-x-2">
+                            <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                placeholder="Qty"
+                                value={quantity}
+                                onChange={(e) => setQuantity(e.target.value)}
+                                className="w-24 px-2 py-2 border rounded-md"
+                                required
+                            />
+                            <input
+                                type="text"
+                                placeholder="For (job or order)"
+                                value={reference}
+                                onChange={(e) => setReference(e.target.value)}
+                                className="flex-1 min-w-0 px-2 py-2 border rounded-md"
+                                required
+                            />
+                        </div>
+                        <label className="flex items-center space-x-2 text-sm">
+                            <span>Expires</span>
+                            <input
+                                type="date"
+                                value={expiresOn}
+                                onChange={(e) => setExpiresOn(e.target.value)}
+                                className="flex-1 px-2 py-2 border rounded-md"
+                                required
+                            />
+                        </label>
+                        <input
+                            type="text"
+                            placeholder="Note"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            className="w-full px-2 py-2 border rounded-md"
+                        />
+                        <button
+                            type="submit"
+                            className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition duration-200"
+                        >
+                            Reserve
+                        </button>
+                    </form>
+                )}
+
+                {canWrite && locations.length > 0 && (
+                    <label className="flex items-center space-x-2 text-sm mb-4">
+                        <span>Fulfil from</span>
+                        <select
+                            value={fulfilLocation}
+                            onChange={(e) => setFulfilLocation(e.target.value)}
+                            className="flex-1 px-2 py-1 border rounded-md"
+                        >
+                            <option value="">Unallocated</option>
+                            {locations.map(l => (
+                                <option key={l._id} value={l._id}>{l.name}</option>
+                            ))}
+                        </select>
+                    </label>
+                )}
+
+                {!reservations ? (
+                    <p>Loading reservations...</p>
+                ) : reservations.length === 0 ? (
+                    <p className="text-gray-500">No active reservations.</p>
+                ) : (
+                    <ul className="divide-y">
+                        {reservations.map(r => (
+                            <li key={r._id} className="py-3">
+                                <div className="flex justify-between">
+                                    <span className="font-medium">{r.reference}</span>
+                                    <span>{r.quantity}</span>
+                                </div>
+                                <div className="text-sm text-gray-600">
+                                    Expires {new Date(r.expiresAt).toLocaleDateString()}
+                                    {r.note && ` · ${r.note}`}
+                                </div>
+                                <div className="text-xs text-gray-400">
+                                    {new Date(r.createdAt).toLocaleString()} by {r.createdBy?.username || 'unknown'}
+                                </div>
+                                {canWrite && (
+                                    <div className="mt-1 space-x-3 text-sm">
+                                        <button onClick={() => handleClose(r, 'fulfil')} className="text-blue-600 hover:underline">
+                                            Fulfil
+                                        </button>
+                                        <button onClick={() => handleClose(r, 'release')} className="text-red-600 hover:underline">
+                                            Release
+                                        </button>
+                                    </div>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
             </div>
         </div>
     );
 }
+
+// --- Stock History Drawer Component ---
+// Lists an item's ledger of stock movements and lets the user record a new one or transfer stock
+function HistoryDrawer({ item, locations, canWrite, onClose, onStockChange }) {
+    const [history, setHistory] = useState(null);
+    const [error, setError] = useState('');
+
+    // Movement form state
+    const [type, setType] = useState('receipt');
+    const [quantity, setQuantity] = useState('');
+    const [reason, setReason] = useState('');
+    const [location, setLocation] = useState('');
+    const [unitCost, setUnitCost] = useState(''); // Cost of a receipt; blank uses the item's unit cost
+
+    // Transfer form state ('' means unallocated stock)
+    const [fromLocation, setFromLocation] = useState('');
+    const [toLocation, setToLocation] = useState('');
+    const [transferQuantity, setTransferQuantity] = useState('');
+
+    const locationName = (id) => locations.find(l => l._id === id)?.name || 'Unallocated';
+
+    const fetchHistory = async () => {
+        try {
+            const res = await axios.get(`${API_URL}/items/${item._id}/movements`);
+            setHistory(res.data);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch history.');
+        }
+    };
+
+    useEffect(() => {
+        fetchHistory();
+    }, [item._id]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        try {
+            await axios.post(`${API_URL}/items/${item._id}/movements`, {
+                type,
+                quantity: Number(quantity),
+                reason,
+                location: location || undefined,
+                unitCost: type === 'receipt' ? unitCost : undefined,
+            });
+            setQuantity('');
+            setReason('');
+            setUnitCost('');
+            await fetchHistory();
+            await onStockChange();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to record movement.');
+        }
+    };
+
+    const handleTransfer = async (e) => {
+        e.preventDefault();
+        try {
+            await axios.post(`${API_URL}/items/${item._id}/transfers`, {
+                fromLocation: fromLocation || undefined,
+                toLocation: toLocation || undefined,
+                quantity: Number(transferQuantity),
+            });
+            setTransferQuantity('');
+            await fetchHistory();
+            await onStockChange();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to transfer stock.');
+        }
+    };
+
+    // Select options for picking a location, with unallocated stock as the empty choice
+    const locationOptions = (
+        <>
+            <option value="">Unallocated</option>
+            {locations.map(l => (
+                <option key={l._id} value={l._id}>{l.name}</option>
+            ))}
+        </>
+    );
+
+    return (
+        <div className="fixed inset-0 z-40 flex justify-end">
+            <div className="absolute inset-0 bg-black bg-opacity-30" onClick={onClose}></div>
+            <div className="relative w-full max-w-md h-full bg-white shadow-xl p-6 overflow-y-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold">History: {item.name}</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-700">Close</button>
+                </div>
+
+                {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+                {canWrite && (
+                    <form onSubmit={handleSubmit} className="mb-6 space-y-2">
+                        <div className="flex space-x-2">
+                            <select
+                                value={type}
+                                onChange={(e) => setType(e.target.value)}
+                                className="px-2 py-2 border rounded-md"
+                            >
+                                <option value="receipt">Receipt</option>
+                                <option value="issue">Issue</option>
+                                <option value="adjustment">Adjustment (+/-)</option>
+                            </select>
+                            <input
+                                type="number"
+                                placeholder="Qty"
+                                value={quantity}
+                                onChange={(e) => setQuantity(e.target.value)}
+                                className="w-24 px-2 py-2 border rounded-md"
+                                required
+                            />
+                            {type === 'receipt' && (
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step="0.01"
+                                    placeholder={item.unitCost != null ? `Cost (${item.unitCost})` : 'Unit cost'}
+                                    value={unitCost}
+                                    onChange={(e) => setUnitCost(e.target.value)}
+                                    className="w-28 px-2 py-2 border rounded-md"
+                                />
+                            )}
+                        </div>
+                        <select
+                            value={location}
+                            onChange={(e) => setLocation(e.target.value)}
+                            className="w-full px-2 py-2 border rounded-md"
+                        >
+                            {locationOptions}
+                        </select>
+                        <input
+                            type="text"
+                            placeholder="Reason"
+                            value={reason}
+                            onChange={(e) => setReason(e.target.value)}
+                            className="w-full px-2 py-2 border rounded-md"
+                        />
+                        <button
+                            type="submit"
+                            className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition duration-200"
+                        >
+                            Record Movement
+                        </button>
+                    </form>
+
+                )}
+
+                {canWrite && locations.length > 0 && (
+                    <form onSubmit={handleTransfer} className="mb-6 space-y-2">
+                        <h4 className="font-semibold">Transfer Stock</h4>
+                        <div className="flex space-x-2">
+                            <select
+                                value={fromLocation}
+                                onChange={(e) => setFromLocation(e.target.value)}
+                                className="flex-1 min-w-0 px-2 py-2 border rounded-md"
+                            >
+                                {locationOptions}
+                            </select>
+                            <span className="self-center">&rarr;</span>
+                            <select
+                                value={toLocation}
+                                onChange={(e) => setToLocation(e.target.value)}
+                                className="flex-1 min-w-0 px-2 py-2 border rounded-md"
+                            >
+                                {locationOptions}
+                            </select>
+                            <input
+                                type="number"
+                                min="1"
+                                placeholder="Qty"
+                                value={transferQuantity}
+                                onChange={(e) => setTransferQuantity(e.target.value)}
+                                className="w-20 px-2 py-2 border rounded-md"
+                                required
+                            />
+                        </div>
+                        <button
+                            type="submit"
+                            className="w-full bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-md transition duration-200"
+                        >
+                            Transfer
+                        </button>
+                    </form>
+                )}
+
+                {!history ? (
+                    <p>Loading history...</p>
+                ) : (
+                    <>
+                        {!history.inSync && (
+                            <p className="text-yellow-700 bg-yellow-100 text-sm p-2 rounded mb-4">
+                                Ledger total ({history.ledgerQuantity}) does not match the stored quantity ({history.quantity}).
+                            </p>
+                        )}
+                        {history.movements.length === 0 ? (
+                            <p className="text-gray-500">No movements recorded.</p>
+                        ) : (
+                            <ul className="divide-y">
+                                {history.movements.map(m => (
+                                    <li key={m._id} className="py-3">
+                                        <div className="flex justify-between">
+                                            <span className="font-medium capitalize">{m.type}</span>
+                                            <span className={m.type === 'transfer' ? 'text-gray-600' : m.quantity < 0 ? 'text-red-600' : 'text-green-600'}>
+                                                {m.type !== 'transfer' && m.quantity > 0 ? `+${m.quantity}` : m.quantity}
+                                            </span>
+                                        </div>
+                                        <div className="text-sm text-gray-600">
+                                            {m.type === 'transfer'
+                                                ? `${locationName(m.location)} → ${locationName(m.toLocation)}`
+                                                : `${m.quantityBefore} → ${m.quantityAfter}`}
+                                            {m.type !== 'transfer' && m.location && ` at ${locationName(m.location)}`}
+                                            {m.reason && ` · ${m.reason}`}
+                                            {m.unitCost != null && ` · @ ${formatMoney(m.unitCost)}`}
+                                        </div>
+                                        <div className="text-xs text-gray-400">
+                                            {new Date(m.createdAt).toLocaleString()} by {m.user?.username || 'unknown'}
+                                        </div>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// --- CSV Import Dialog Component ---
+// Uploads a CSV, lets the user map its columns to item fields and previews every row before committing
+const IMPORT_FIELDS = ['sku', 'name', 'quantity', 'description', 'reorderPoint', 'reorderQuantity', 'unitCost', 'price'];
+
+function ImportDialog({ onClose, onImported }) {
+    const [csv, setCsv] = useState('');
+    const [mapping, setMapping] = useState({});
+    const [matchBy, setMatchBy] = useState('sku');
+    const [preview, setPreview] = useState(null); // Last response from the import endpoint
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    // Sends the file to the server; with dryRun nothing is saved and we just get the preview
+    const runImport = async (content, dryRun) => {
+        try {
+            setBusy(true);
+            const res = await axios.post(`${API_URL}/items/import`, { csv: content, mapping, matchBy, dryRun });
+            setPreview(res.data);
+            setMapping(res.data.columns);
+            setError('');
+            if (!dryRun) await onImported();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to import file.');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            setCsv(reader.result);
+            setPreview(null);
+            runImport(reader.result, true);
+        };
+        reader.readAsText(file);
+    };
+
+    const actionColors = {
+        create: 'text-green-600',
+        update: 'text-blue-600',
+        unchanged: 'text-gray-500',
+        error: 'text-red-600',
+    };
+    const pendingRows = preview ? preview.summary.create + preview.summary.update : 0;
+
+    return (
+        <div className="fixed inset-0 z-40 flex items-center justify-center">
+            <div className="absolute inset-0 bg-black bg-opacity-30" onClick={onClose}></div>
+            <div className="relative w-full max-w-3xl max-h-screen bg-white rounded-lg shadow-xl p-6 overflow-y-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold">Import Items from CSV</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-700">Close</button>
+                </div>
+
+                {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+                <div className="flex items-center space-x-4 mb-4">
+                    <input type="file" accept=".csv,text/csv" onChange={handleFileChange} />
+                    <label className="text-sm">
+                        Match existing items by{' '}
+                        <select
+                            value={matchBy}
+                            onChange={(e) => setMatchBy(e.target.value)}
+                            className="px-2 py-1 border rounded-md"
+                        >
+                            <option value="sku">SKU</option>
+                            <option value="name">Name</option>
+                        </select>
+                    </label>
+                </div>
+
+                {preview && (
+                    <>
+                        <h4 className="font-semibold mb-2">Column Mapping</h4>
+                        <div className="grid grid-cols-2 md:grid-cols-3 gap-2 mb-4">
+                            {IMPORT_FIELDS.map(field => (
+                                <label key={field} className="text-sm">
+                                    <span className="block text-gray-700">{field}</span>
+                                    <select
+                                        value={mapping[field] || ''}
+                                        onChange={(e) => setMapping({ ...mapping, [field]: e.target.value })}
+                                        className="w-full px-2 py-1 border rounded-md"
+                                    >
+                                        <option value="">(not imported)</option>
+                                        {preview.headers.map(h => (
+                                            <option key={h} value={h}>{h}</option>
+                                        ))}
+                                    </select>
+                                </label>
+                            ))}
+                        </div>
+
+                        <p className="text-sm mb-2">
+                            {preview.dryRun ? 'Preview: ' : 'Imported: '}
+                            {preview.summary.create} to create, {preview.summary.update} to update,{' '}
+                            {preview.summary.unchanged} unchanged, {preview.summary.error} with errors
+                        </p>
+
+                        <div className="overflow-x-auto max-h-80 mb-4">
+                            <table className="w-full text-left text-sm">
+                                <thead>
+                                    <tr className="border-b">
+                                        <th className="py-1 px-2">Row</th>
+                                        <th className="py-1 px-2">{matchBy === 'sku' ? 'SKU' : 'Name'}</th>
+                                        <th className="py-1 px-2">Action</th>
+                                        <th className="py-1 px-2">Details</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {preview.rows.map(r => (
+                                        <tr key={r.row} className="border-b">
+                                            <td className="py-1 px-2">{r.row}</td>
+                                            <td className="py-1 px-2">{r.key}</td>
+                                            <td className={`py-1 px-2 capitalize ${actionColors[r.action]}`}>{r.action}</td>
+                                            <td className="py-1 px-2 text-gray-600">
+                                                {r.errors.length > 0
+                                                    ? r.errors.join('; ')
+                                                    : Object.entries(r.changes)
+                                                        .map(([field, c]) => (c.from !== undefined ? `${field}: ${c.from} → ${c.to}` : `${field}: ${c.to}`))
+                                                        .join(', ')}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {preview.dryRun && (
+                            <div className="flex space-x-2">
+                                <button
+                                    onClick={() => runImport(csv, true)}
+                                    disabled={busy}
+                                    className="flex-1 bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-md transition duration-200"
+                                >
+                                    Refresh Preview
+                                </button>
+                                <button
+                                    onClick={() => runImport(csv, false)}
+                                    disabled={busy || pendingRows === 0}
+                                    className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-md transition duration-200"
+                                >
+                                    Import {pendingRows} {pendingRows === 1 ? 'Row' : 'Rows'}
+                                </button>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// --- Categories Component ---
+// Manages the category tree and the custom attributes each category defines
+const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'date', 'select'];
+
+function CategoriesView() {
+    const [categories, setCategories] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    // Form state
+    const [editingCategory, setEditingCategory] = useState(null);
+    const [name, setName] = useState('');
+    const [parent, setParent] = useState('');
+    const [attributes, setAttributes] = useState([]); // Attribute definitions, options kept as comma-separated text
+
+    const fetchCategories = async () => {
+        try {
+            setLoading(true);
+            const res = await axios.get(`${API_URL}/categories`);
+            setCategories(res.data);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch categories.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchCategories();
+    }, []);
+
+    const resetForm = () => {
+        setEditingCategory(null);
+        setName('');
+        setParent('');
+        setAttributes([]);
+    };
+
+    const handleEdit = (c) => {
+        setEditingCategory(c);
+        setName(c.name);
+        setParent(c.parent || '');
+        setAttributes(c.attributes.map(a => ({ ...a, options: (a.options || []).join(', ') })));
+    };
+
+    const updateAttribute = (index, changes) => {
+        setAttributes(attributes.map((a, i) => (i === index ? { ...a, ...changes } : a)));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const data = {
+            name,
+            parent: parent || null,
+            attributes: attributes.map(a => ({
+                ...a,
+                options: a.type === 'select' ? a.options.split(',').map(o => o.trim()).filter(Boolean) : [],
+            })),
+        };
+        try {
+            if (editingCategory) {
+                await axios.put(`${API_URL}/categories/${editingCategory._id}`, data);
+            } else {
+                await axios.post(`${API_URL}/categories`, data);
+            }
+            resetForm();
+            await fetchCategories();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save category.');
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (window.confirm('Are you sure you want to delete this category?')) {
+            try {
+                await axios.delete(`${API_URL}/categories/${id}`);
+                await fetchCategories();
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to delete category.');
+            }
+        }
+    };
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+            <div className="md:col-span-1">
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <h3 className="text-xl font-bold mb-4">{editingCategory ? 'Edit Category' : 'Add Category'}</h3>
+                    <form onSubmit={handleSubmit}>
+                        <div className="mb-4">
+                            <label className="block text-gray-700 mb-2" htmlFor="categoryName">Name</label>
+                            <input
+                                type="text"
+                                id="categoryName"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                required
+                            />
+                        </div>
+                        <div className="mb-4">
+                            <label className="block text-gray-700 mb-2" htmlFor="categoryParent">Parent</label>
+                            <select
+                                id="categoryParent"
+                                value={parent}
+                                onChange={(e) => setParent(e.target.value)}
+                                className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                            >
+                                <option value="">None (top level)</option>
+                                {categories.filter(c => c._id !== editingCategory?._id).map(c => (
+                                    <option key={c._id} value={c._id}>{c.path}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <h4 className="font-semibold mb-2">Attributes</h4>
+                        {attributes.map((a, index) => (
+                            <div key={index} className="border rounded-md p-2 mb-2 space-y-2 text-sm">
+                                <div className="flex space-x-2">
+                                    <input
+                                        type="text"
+                                        placeholder="key"
+                                        value={a.key}
+                                        onChange={(e) => updateAttribute(index, { key: e.target.value })}
+                                        className="flex-1 min-w-0 px-2 py-1 border rounded-md"
+                                        required
+                                    />
+                                    <input
+                                        type="text"
+                                        placeholder="Label"
+                                        value={a.label || ''}
+                                        onChange={(e) => updateAttribute(index, { label: e.target.value })}
+                                        className="flex-1 min-w-0 px-2 py-1 border rounded-md"
+                                    />
+                                </div>
+                                <div className="flex space-x-2 items-center">
+                                    <select
+                                        value={a.type}
+                                        onChange={(e) => updateAttribute(index, { type: e.target.value })}
+                                        className="px-2 py-1 border rounded-md"
+                                    >
+                                        {ATTRIBUTE_TYPES.map(t => (
+                                            <option key={t} value={t}>{t}</option>
+                                        ))}
+                                    </select>
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            checked={a.required}
+                                            onChange={(e) => updateAttribute(index, { required: e.target.checked })}
+                                        />{' '}
+                                        Required
+                                    </label>
+                                    <button
+                                        type="button"
+                                        onClick={() => setAttributes(attributes.filter((_, i) => i !== index))}
+                                        className="ml-auto text-red-500 hover:text-red-700"
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                                {a.type === 'select' && (
+                                    <input
+                                        type="text"
+                                        placeholder="Options, comma-separated"
+                                        value={a.options}
+                                        onChange={(e) => updateAttribute(index, { options: e.target.value })}
+                                        className="w-full px-2 py-1 border rounded-md"
+                                        required
+                                    />
+                                )}
+                            </div>
+                        ))}
+                        <button
+                            type="button"
+                            onClick={() => setAttributes([...attributes, { key: '', label: '', type: 'text', required: false, options: '' }])}
+                            className="text-blue-500 hover:text-blue-700 text-sm mb-4"
+                        >
+                            + Add attribute
+                        </button>
+
+                        <div className="flex space-x-2">
+                            <button
+                                type="submit"
+                                className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition duration-200"
+                            >
+                                {editingCategory ? 'Update Category' : 'Add Category'}
+                            </button>
+                            {editingCategory && (
+                                <button
+                                    type="button"
+                                    onClick={resetForm}
+                                    className="flex-1 bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-md transition duration-200"
+                                >
+                                    Cancel
+                                </button>
+                            )}
+                        </div>
+                    </form>
+                </div>
+            </div>
+
+            <div className="md:col-span-2">
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <h3 className="text-xl font-bold mb-4">Categories</h3>
+                    {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+                    {loading ? (
+                        <p>Loading categories...</p>
+                    ) : (
+                        <table className="w-full text-left">
+                            <thead>
+                                <tr className="border-b">
+                                    <th className="py-2 px-3">Category</th>
+                                    <th className="py-2 px-3">Attributes (incl. inherited)</th>
+                                    <th className="py-2 px-3">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {categories.length === 0 ? (
+                                    <tr>
+                                        <td colSpan="3" className="py-4 text-center text-gray-500">No categories yet.</td>
+                                    </tr>
+                                ) : (
+                                    categories.map(c => (
+                                        <tr key={c._id} className="border-b hover:bg-gray-50">
+                                            <td className="py-3 px-3 font-medium">{c.path}</td>
+                                            <td className="py-3 px-3 text-sm text-gray-600">
+                                                {c.allAttributes.map(a => `${a.label || a.key} (${a.type}${a.required ? ', required' : ''})`).join(', ') || 'None'}
+                                            </td>
+                                            <td className="py-3 px-3">
+                                                <button
+                                                    onClick={() => handleEdit(c)}
+                                                    className="text-blue-500 hover:text-blue-700 mr-3 text-sm"
+                                                >
+                                                    Edit
+                                                </button>
+                                                <button
+                                                    onClick={() => handleDelete(c._id)}
+                                                    className="text-red-500 hover:text-red-700 text-sm"
+                                                >
+                                                    Delete
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))
+                                )}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// --- Item Picker Component ---
+// Search box plus a select of matching items, for forms that refer to an item
+function ItemPicker({ value, label, onChange }) {
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+
+    // Search as the user types, after a short pause
+    useEffect(() => {
+        const timer = setTimeout(async () => {
+            try {
+                const res = await axios.get(`${API_URL}/items`, {
+                    params: { q: query.trim() || undefined, sort: 'name', limit: 20 },
+                });
+                setResults(res.data.items);
+            } catch (err) {
+                setResults([]);
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [query]);
+
+    // Keep the current choice selectable even when it isn't in the search results
+    const options = value && !results.some(i => i._id === value)
+        ? [{ _id: value, name: label || 'Selected item' }, ...results]
+        : results;
+
+    return (
+        <div className="flex-1 min-w-0 flex space-x-1">
+            <input
+                type="search"
+                placeholder="Find item..."
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                className="w-28 px-2 py-1 border rounded-md"
+            />
+            <select
+                value={value || ''}
+                onChange={(e) => onChange(options.find(i => i._id === e.target.value) || null)}
+                className="flex-1 min-w-0 px-2 py-1 border rounded-md"
+                required
+            >
+                <option value="">Choose item...</option>
+                {options.map(i => (
+                    <option key={i._id} value={i._id}>{i.sku ? `${i.name} (${i.sku})` : i.name}</option>
+                ))}
+            </select>
+        </div>
+    );
+}
+
+// --- Purchasing Component ---
+// Suppliers, purchase orders through their lifecycle, and recording deliveries against them
+const PO_STATUS_LABELS = {
+    draft: 'Draft',
+    sent: 'Sent',
+    partially_received: 'Partially received',
+    received: 'Received',
+    cancelled: 'Cancelled',
+};
+const PO_STATUS_COLORS = {
+    draft: 'bg-gray-200 text-gray-700',
+    sent: 'bg-blue-100 text-blue-700',
+    partially_received: 'bg-yellow-100 text-yellow-800',
+    received: 'bg-green-100 text-green-700',
+    cancelled: 'bg-red-100 text-red-700',
+};
+
+function PurchasingView({ user }) {
+    const [orders, setOrders] = useState([]);
+    const [suppliers, setSuppliers] = useState([]);
+    const [locations, setLocations] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('open');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    // Purchase order form state
+    const [editingOrder, setEditingOrder] = useState(null);
+    const [supplier, setSupplier] = useState('');
+    const [lines, setLines] = useState([]); // { item, itemName, quantity, unitCost }
+    const [notes, setNotes] = useState('');
+    const [expectedDate, setExpectedDate] = useState('');
+
+    // Supplier form state
+    const [supplierName, setSupplierName] = useState('');
+    const [supplierEmail, setSupplierEmail] = useState('');
+    const [supplierPhone, setSupplierPhone] = useState('');
+
+    // Delivery form state
+    const [receivingOrder, setReceivingOrder] = useState(null);
+    const [receiveQuantities, setReceiveQuantities] = useState({}); // Keyed by line id
+    const [receiveLocation, setReceiveLocation] = useState('');
+
+    const canWrite = can(user, 'purchasing:write');
+
+    const fetchOrders = async () => {
+        try {
+            setLoading(true);
+            const res = await axios.get(`${API_URL}/purchase-orders`, {
+                params: { status: statusFilter || undefined },
+            });
+            setOrders(res.data);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch purchase orders.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchSuppliersAndLocations = async () => {
+        try {
+            const [suppliersRes, locationsRes] = await Promise.all([
+                axios.get(`${API_URL}/suppliers`),
+                axios.get(`${API_URL}/locations`),
+            ]);
+            setSuppliers(suppliersRes.data);
+            setLocations(locationsRes.data);
+        } catch (err) {
+            setError('Failed to fetch suppliers.');
+        }
+    };
+
+    useEffect(() => {
+        fetchSuppliersAndLocations();
+    }, []);
+
+    useEffect(() => {
+        fetchOrders();
+    }, [statusFilter]);
+
+    const resetForm = () => {
+        setEditingOrder(null);
+        setSupplier('');
+        setLines([]);
+        setNotes('');
+        setExpectedDate('');
+    };
+
+    const updateLine = (index, changes) => {
+        setLines(lines.map((l, i) => (i === index ? { ...l, ...changes } : l)));
+    };
+
+    const handleEdit = (order) => {
+        setEditingOrder(order);
+        setSupplier(order.supplier?._id || '');
+        setLines(order.lines.map(l => ({
+            item: l.item?._id,
+            itemName: l.item?.name,
+            quantity: l.quantity,
+            unitCost: l.unitCost ?? '',
+        })));
+        setNotes(order.notes || '');
+        setExpectedDate(order.expectedDate ? order.expectedDate.slice(0, 10) : '');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const data = {
+            supplier,
+            lines: lines.map(({ item, quantity, unitCost }) => ({ item, quantity: Number(quantity), unitCost })),
+            notes,
+            expectedDate: expectedDate || null,
+        };
+        try {
+            if (editingOrder) {
+                await axios.put(`${API_URL}/purchase-orders/${editingOrder._id}`, data);
+            } else {
+                await axios.post(`${API_URL}/purchase-orders`, data);
+            }
+            resetForm();
+            await fetchOrders();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save purchase order.');
+        }
+    };
+
+    const handleStatus = async (order, status) => {
+        if (status === 'cancelled' && !window.confirm(`Cancel ${order.number}?`)) return;
+        try {
+            await axios.post(`${API_URL}/purchase-orders/${order._id}/status`, { status });
+            await fetchOrders();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update purchase order.');
+        }
+    };
+
+    // Opens the delivery form with every outstanding quantity filled in
+    const startReceiving = (order) => {
+        setReceivingOrder(order);
+        setReceiveQuantities(Object.fromEntries(order.lines.map(l => [l._id, l.quantity - l.quantityReceived])));
+        setReceiveLocation('');
+    };
+
+    const handleReceive = async (e) => {
+        e.preventDefault();
+        try {
+            await axios.post(`${API_URL}/purchase-orders/${receivingOrder._id}/receive`, {
+                lines: Object.entries(receiveQuantities).map(([lineId, quantity]) => ({ lineId, quantity: Number(quantity) })),
+                location: receiveLocation || undefined,
+            });
+            setReceivingOrder(null);
+            await fetchOrders();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to record delivery.');
+        }
+    };
+
+    const handleAddSupplier = async (e) => {
+        e.preventDefault();
+        try {
+            await axios.post(`${API_URL}/suppliers`, {
+                name: supplierName,
+                email: supplierEmail,
+                phone: supplierPhone,
+            });
+            setSupplierName('');
+            setSupplierEmail('');
+            setSupplierPhone('');
+            await fetchSuppliersAndLocations();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to add supplier.');
+        }
+    };
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+            <div className="md:col-span-1">
+                {canWrite && (
+                    <div className="bg-white p-6 rounded-lg shadow-md mb-8">
+                        <h3 className="text-xl font-bold mb-4">
+                            {editingOrder ? `Edit ${editingOrder.number}` : 'New Purchase Order'}
+                        </h3>
+                        <form onSubmit={handleSubmit}>
+                            <div className="mb-4">
+                                <label className="block text-gray-700 mb-2" htmlFor="poSupplier">Supplier</label>
+                                <select
+                                    id="poSupplier"
+                                    value={supplier}
+                                    onChange={(e) => setSupplier(e.target.value)}
+                                    className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    required
+                                >
+                                    <option value="">Choose supplier...</option>
+                                    {suppliers.map(s => (
+                                        <option key={s._id} value={s._id}>{s.name}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <h4 className="font-semibold mb-2">Lines</h4>
+                            {lines.map((line, index) => (
+                                <div key={index} className="border rounded-md p-2 mb-2 space-y-2 text-sm">
+                                    <ItemPicker
+                                        value={line.item}
+                                        label={line.itemName}
+                                        onChange={(item) => updateLine(index, { item: item?._id, itemName: item?.name })}
+                                    />
+                                    <div className="flex space-x-2">
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            placeholder="Qty"
+                                            value={line.quantity}
+                                            onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                                            className="w-20 px-2 py-1 border rounded-md"
+                                            required
+                                        />
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            step="0.01"
+                                            placeholder="Unit cost"
+                                            value={line.unitCost}
+                                            onChange={(e) => updateLine(index, { unitCost: e.target.value })}
+                                            className="flex-1 min-w-0 px-2 py-1 border rounded-md"
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={() => setLines(lines.filter((_, i) => i !== index))}
+                                            className="text-red-500 hover:text-red-700"
+                                        >
+                                            Remove
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                            <button
+                                type="button"
+                                onClick={() => setLines([...lines, { item: '', itemName: '', quantity: '', unitCost: '' }])}
+                                className="text-blue-500 hover:text-blue-700 text-sm mb-4"
+                            >
+                                + Add line
+                            </button>
+
+                            <div className="mb-4">
+                                <label className="block text-gray-700 mb-2" htmlFor="poExpectedDate">Expected Delivery</label>
+                                <input
+                                    type="date"
+                                    id="poExpectedDate"
+                                    value={expectedDate}
+                                    onChange={(e) => setExpectedDate(e.target.value)}
+                                    className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                />
+                            </div>
+                            <div className="mb-4">
+                                <label className="block text-gray-700 mb-2" htmlFor="poNotes">Notes</label>
+                                <textarea
+                                    id="poNotes"
+                                    value={notes}
+                                    onChange={(e) => setNotes(e.target.value)}
+                                    className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    rows="2"
+                                ></textarea>
+                            </div>
+                            <div className="flex space-x-2">
+                                <button
+                                    type="submit"
+                                    disabled={lines.length === 0}
+                                    className="flex-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-md transition duration-200"
+                                >
+                                    {editingOrder ? 'Update Draft' : 'Save Draft'}
+                                </button>
+                                {editingOrder && (
+                                    <button
+                                        type="button"
+                                        onClick={resetForm}
+                                        className="flex-1 bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-md transition duration-200"
+                                    >
+                                        Cancel
+                                    </button>
+                                )}
+                            </div>
+                        </form>
+                    </div>
+                )}
+
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <h3 className="text-xl font-bold mb-4">Suppliers</h3>
+                    {suppliers.length === 0 ? (
+                        <p className="text-gray-500 text-sm mb-4">No suppliers yet.</p>
+                    ) : (
+                        <ul className="mb-4 text-sm divide-y">
+                            {suppliers.map(s => (
+                                <li key={s._id} className="py-1">
+                                    <span className="font-medium">{s.name}</span>
+                                    {(s.email || s.phone) && (
+                                        <span className="text-gray-500"> · {[s.email, s.phone].filter(Boolean).join(' · ')}</span>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {canWrite && (
+                        <form onSubmit={handleAddSupplier} className="space-y-2">
+                            <input
+                                type="text"
+                                placeholder="Supplier name"
+                                value={supplierName}
+                                onChange={(e) => setSupplierName(e.target.value)}
+                                className="w-full px-2 py-2 border rounded-md"
+                                required
+                            />
+                            <div className="flex space-x-2">
+                                <input
+                                    type="email"
+                                    placeholder="Email"
+                                    value={supplierEmail}
+                                    onChange={(e) => setSupplierEmail(e.target.value)}
+                                    className="flex-1 min-w-0 px-2 py-2 border rounded-md"
+                                />
+                                <input
+                                    type="tel"
+                                    placeholder="Phone"
+                                    value={supplierPhone}
+                                    onChange={(e) => setSupplierPhone(e.target.value)}
+                                    className="flex-1 min-w-0 px-2 py-2 border rounded-md"
+                                />
+                            </div>
+                            <button type="submit" className="w-full bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-md">
+                                Add Supplier
+                            </button>
+                        </form>
+                    )}
+                </div>
+            </div>
+
+            <div className="md:col-span-2">
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-xl font-bold">Purchase Orders</h3>
+                        <select
+                            value={statusFilter}
+                            onChange={(e) => setStatusFilter(e.target.value)}
+                            className="px-2 py-1 border rounded-md text-sm"
+                        >
+                            <option value="open">Open</option>
+                            {Object.entries(PO_STATUS_LABELS).map(([status, label]) => (
+                                <option key={status} value={status}>{label}</option>
+                            ))}
+                            <option value="">All</option>
+                        </select>
+                    </div>
+                    {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+                    {loading ? (
+                        <p>Loading purchase orders...</p>
+                    ) : orders.length === 0 ? (
+                        <p className="text-gray-500">No purchase orders.</p>
+                    ) : (
+                        <div className="space-y-4">
+                            {orders.map(order => (
+                                <div key={order._id} className="border rounded-md p-4">
+                                    <div className="flex justify-between items-center mb-2">
+                                        <div>
+                                            <span className="font-bold">{order.number}</span>
+                                            <span className="text-gray-600"> · {order.supplier?.name}</span>
+                                            <span className={`ml-2 text-xs px-2 py-0.5 rounded ${PO_STATUS_COLORS[order.status]}`}>
+                                                {PO_STATUS_LABELS[order.status]}
+                                            </span>
+                                        </div>
+                                        <div className="text-sm text-gray-500">
+                                            {new Date(order.createdAt).toLocaleDateString()}
+                                            {order.expectedDate && ` · due ${new Date(order.expectedDate).toLocaleDateString()}`}
+                                        </div>
+                                    </div>
+                                    <table className="w-full text-left text-sm mb-2">
+                                        <thead>
+                                            <tr className="border-b">
+                                                <th className="py-1 px-2">Item</th>
+                                                <th className="py-1 px-2">Ordered</th>
+                                                <th className="py-1 px-2">Received</th>
+                                                <th className="py-1 px-2">Unit Cost</th>
+                                                {receivingOrder?._id === order._id && <th className="py-1 px-2">Receive Now</th>}
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {order.lines.map(line => (
+                                                <tr key={line._id} className="border-b">
+                                                    <td className="py-1 px-2">{line.item?.name || 'Deleted item'}</td>
+                                                    <td className="py-1 px-2">{line.quantity}</td>
+                                                    <td className="py-1 px-2">{line.quantityReceived}</td>
+                                                    <td className="py-1 px-2">{line.unitCost ?? '-'}</td>
+                                                    {receivingOrder?._id === order._id && (
+                                                        <td className="py-1 px-2">
+                                                            <input
+                                                                type="number"
+                                                                min="0"
+                                                                max={line.quantity - line.quantityReceived}
+                                                                value={receiveQuantities[line._id] ?? ''}
+                                                                onChange={(e) => setReceiveQuantities({ ...receiveQuantities, [line._id]: e.target.value })}
+                                                                className="w-20 px-2 py-1 border rounded-md"
+                                                            />
+                                                        </td>
+                                                    )}
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                    {order.notes && <p className="text-sm text-gray-600 mb-2">{order.notes}</p>}
+
+                                    {receivingOrder?._id === order._id ? (
+                                        <form onSubmit={handleReceive} className="flex items-center space-x-2 text-sm">
+                                            <select
+                                                value={receiveLocation}
+                                                onChange={(e) => setReceiveLocation(e.target.value)}
+                                                className="px-2 py-1 border rounded-md"
+                                            >
+                                                <option value="">Unallocated</option>
+                                                {locations.map(l => (
+                                                    <option key={l._id} value={l._id}>{l.name}</option>
+                                                ))}
+                                            </select>
+                                            <button type="submit" className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-md">
+                                                Record Delivery
+                                            </button>
+                                            <button type="button" onClick={() => setReceivingOrder(null)} className="text-gray-500 hover:text-gray-700">
+                                                Cancel
+                                            </button>
+                                        </form>
+                                    ) : canWrite && (
+                                        <div className="space-x-3 text-sm">
+                                            {order.status === 'draft' && (
+                                                <>
+                                                    <button onClick={() => handleEdit(order)} className="text-blue-500 hover:text-blue-700">Edit</button>
+                                                    <button onClick={() => handleStatus(order, 'sent')} className="text-blue-500 hover:text-blue-700">Mark as Sent</button>
+                                                </>
+                                            )}
+                                            {['sent', 'partially_received'].includes(order.status) && (
+                                                <button onClick={() => startReceiving(order)} className="text-green-600 hover:text-green-800">Receive</button>
+                                            )}
+                                            {['draft', 'sent', 'partially_received'].includes(order.status) && (
+                                                <button onClick={() => handleStatus(order, 'cancelled')} className="text-red-500 hover:text-red-700">Cancel Order</button>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// --- Stocktakes Component ---
+// Physical counts: start a stocktake, enter counts (several people can count the same items), then review
+// the variances and approve them as adjustments
+const STOCKTAKE_STATUS_LABELS = {
+    counting: 'Counting',
+    review: 'In review',
+    approved: 'Approved',
+    cancelled: 'Cancelled',
+};
+const STOCKTAKE_STATUS_COLORS = {
+    counting: 'bg-blue-100 text-blue-700',
+    review: 'bg-yellow-100 text-yellow-800',
+    approved: 'bg-green-100 text-green-700',
+    cancelled: 'bg-red-100 text-red-700',
+};
+// Mirrors STOCKTAKE_REASON_CODES in the backend
+const STOCKTAKE_REASON_CODES = {
+    'count-correction': 'Count correction',
+    damaged: 'Damaged',
+    lost: 'Lost or stolen',
+    found: 'Found',
+    'entry-error': 'Data entry error',
+};
+
+function StocktakesView({ user }) {
+    const [stocktakes, setStocktakes] = useState([]);
+    const [locations, setLocations] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('open');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    // New stocktake form state
+    const [name, setName] = useState('');
+    const [location, setLocation] = useState('');
+    const [category, setCategory] = useState('');
+    const [blind, setBlind] = useState(false);
+
+    // The open stocktake, the user's counts and the approver's settled quantities (both keyed by item id)
+    const [selected, setSelected] = useState(null);
+    const [myCounts, setMyCounts] = useState({});
+    const [settle, setSettle] = useState({});
+    const [reasonCode, setReasonCode] = useState('count-correction');
+
+    const canManage = can(user, 'stocktake:manage');
+
+    const fetchStocktakes = async () => {
+        try {
+            setLoading(true);
+            const res = await axios.get(`${API_URL}/stocktakes`, {
+                params: { status: statusFilter || undefined },
+            });
+            setStocktakes(res.data);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch stocktakes.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        const fetchOptions = async () => {
+            try {
+                const [locationsRes, categoriesRes] = await Promise.all([
+                    axios.get(`${API_URL}/locations`),
+                    axios.get(`${API_URL}/categories`),
+                ]);
+                setLocations(locationsRes.data);
+                setCategories(categoriesRes.data);
+            } catch (err) {
+                setError('Failed to fetch locations and categories.');
+            }
+        };
+        fetchOptions();
+    }, []);
+
+    useEffect(() => {
+        fetchStocktakes();
+    }, [statusFilter]);
+
+    // Shows a stocktake, filling the count inputs with the user's own counts
+    const showStocktake = (stocktake) => {
+        setSelected(stocktake);
+        setMyCounts(Object.fromEntries(stocktake.lines.map(line => [
+            line.item?._id,
+            line.counts.find(c => c.user.id === user.id)?.quantity ?? '',
+        ])));
+        setSettle({});
+    };
+
+    const openStocktake = async (id) => {
+        try {
+            const res = await axios.get(`${API_URL}/stocktakes/${id}`);
+            showStocktake(res.data);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to load stocktake.');
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await axios.post(`${API_URL}/stocktakes`, {
+                name,
+                location: location || undefined,
+                category: category || undefined,
+                blind,
+            });
+            setName('');
+            setLocation('');
+            setCategory('');
+            setBlind(false);
+            showStocktake(res.data);
+            await fetchStocktakes();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to start stocktake.');
+        }
+    };
+
+    const handleSaveCounts = async () => {
+        // Only send what changed from the user's saved counts
+        const counts = selected.lines
+            .filter(line => String(myCounts[line.item?._id] ?? '') !== String(line.counts.find(c => c.user.id === user.id)?.quantity ?? ''))
+            .map(line => ({ item: line.item._id, quantity: myCounts[line.item._id] === '' ? null : Number(myCounts[line.item._id]) }));
+        if (counts.length === 0) return;
+        try {
+            const res = await axios.put(`${API_URL}/stocktakes/${selected._id}/counts`, { counts });
+            showStocktake(res.data);
+            await fetchStocktakes();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to save counts.');
+        }
+    };
+
+    const handleStatus = async (status) => {
+        if (status === 'cancelled' && !window.confirm(`Cancel ${selected.number}? Its counts will not be posted.`)) return;
+        try {
+            const res = await axios.post(`${API_URL}/stocktakes/${selected._id}/status`, { status });
+            showStocktake(res.data);
+            await fetchStocktakes();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update stocktake.');
+        }
+    };
+
+    const handleApprove = async () => {
+        const adjusting = selected.lines.filter(l => l.variance || settle[l.item?._id] !== undefined).length;
+        if (!window.confirm(`Approve ${selected.number} and post its adjustments (${adjusting} item(s))?`)) return;
+        try {
+            const res = await axios.post(`${API_URL}/stocktakes/${selected._id}/approve`, {
+                reasonCode,
+                settle: Object.entries(settle)
+                    .filter(([, quantity]) => quantity !== '')
+                    .map(([item, quantity]) => ({ item, quantity: Number(quantity) })),
+            });
+            showStocktake(res.data);
+            await fetchStocktakes();
+        } catch (err) {
+            // Approval is refused while some adjustments can't be posted; name those items and why
+            const failing = (err.response?.data?.failing || []).map(({ item, error: reason }) => (
+                `${selected.lines.find(l => l.item?._id === item)?.item?.name || 'Deleted item'}: ${reason}`
+            ));
+            setError([err.response?.data?.message || 'Failed to approve stocktake.', ...failing].join(' · '));
+        }
+    };
+
+    // Posts the adjustments that failed when the stocktake was approved
+    const handleRetry = async () => {
+        try {
+            const res = await axios.post(`${API_URL}/stocktakes/${selected._id}/retry`);
+            showStocktake(res.data);
+            await fetchStocktakes();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to post adjustments.');
+        }
+    };
+
+    // Expected quantities and other people's counts are hidden while a blind stocktake is being counted
+    const hidden = selected && !selected.summary;
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+            <div className="md:col-span-1">
+                {canManage && (
+                    <div className="bg-white p-6 rounded-lg shadow-md mb-8">
+                        <h3 className="text-xl font-bold mb-4">New Stocktake</h3>
+                        <form onSubmit={handleCreate} className="space-y-3">
+                            <input
+                                type="text"
+                                placeholder="Name (e.g. Aisle 3 monthly count)"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                className="w-full px-2 py-2 border rounded-md"
+                            />
+                            <select
+                                value={location}
+                                onChange={(e) => setLocation(e.target.value)}
+                                className="w-full px-2 py-2 border rounded-md"
+                            >
+                                <option value="">All stock (item totals)</option>
+                                {locations.map(l => (
+                                    <option key={l._id} value={l._id}>Stock at {l.name}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={category}
+                                onChange={(e) => setCategory(e.target.value)}
+                                className="w-full px-2 py-2 border rounded-md"
+                            >
+                                <option value="">Every category</option>
+                                {categories.map(c => (
+                                    <option key={c._id} value={c._id}>{c.path}</option>
+                                ))}
+                            </select>
+                            <label className="flex items-center space-x-2 text-sm">
+                                <input type="checkbox" checked={blind} onChange={(e) => setBlind(e.target.checked)} />
+                                <span>Blind count (counters don't see expected quantities)</span>
+                            </label>
+                            <button
+                                type="submit"
+                                className="w-full bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md transition duration-200"
+                            >
+                                Start Stocktake
+                            </button>
+                        </form>
+                    </div>
+                )}
+
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-xl font-bold">Stocktakes</h3>
+                        <select
+                            value={statusFilter}
+                            onChange={(e) => setStatusFilter(e.target.value)}
+                            className="px-2 py-1 border rounded-md text-sm"
+                        >
+                            <option value="open">Open</option>
+                            {Object.entries(STOCKTAKE_STATUS_LABELS).map(([status, label]) => (
+                                <option key={status} value={status}>{label}</option>
+                            ))}
+                            <option value="">All</option>
+                        </select>
+                    </div>
+                    {loading ? (
+                        <p>Loading stocktakes...</p>
+                    ) : stocktakes.length === 0 ? (
+                        <p className="text-gray-500 text-sm">No stocktakes.</p>
+                    ) : (
+                        <ul className="divide-y text-sm">
+                            {stocktakes.map(s => (
+                                <li key={s._id}>
+                                    <button
+                                        onClick={() => openStocktake(s._id)}
+                                        className={`w-full text-left py-2 px-1 hover:bg-gray-50 ${selected?._id === s._id ? 'bg-blue-50' : ''}`}
+                                    >
+                                        <div className="flex justify-between">
+                                            <span className="font-medium">{s.number}{s.name && ` · ${s.name}`}</span>
+                                            <span className={`text-xs px-2 py-0.5 rounded ${STOCKTAKE_STATUS_COLORS[s.status]}`}>
+                                                {STOCKTAKE_STATUS_LABELS[s.status]}
+                                            </span>
+                                        </div>
+                                        <div className="text-gray-500">
+                                            {s.location?.name || 'All stock'} · {s.countedLines}/{s.lineCount} counted
+                                            {s.blind && ' · blind'}
+                                        </div>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+
+            <div className="md:col-span-2">
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+                    {!selected ? (
+                        <p className="text-gray-500">Pick a stocktake to count or review it.</p>
+                    ) : (
+                        <>
+                            <div className="flex justify-between items-center mb-2">
+                                <h3 className="text-xl font-bold">
+                                    {selected.number}{selected.name && ` · ${selected.name}`}
+                                    <span className={`ml-2 text-xs px-2 py-0.5 rounded align-middle ${STOCKTAKE_STATUS_COLORS[selected.status]}`}>
+                                        {STOCKTAKE_STATUS_LABELS[selected.status]}
+                                    </span>
+                                </h3>
+                                <div className="text-sm text-gray-500">
+                                    {selected.location?.name || 'All stock'}
+                                    {selected.blind && ' · blind count'}
+                                </div>
+                            </div>
+                            <p className="text-sm text-gray-500 mb-4">
+                                Started {new Date(selected.createdAt).toLocaleString()} by {selected.createdBy?.username || 'unknown'}
+                                {selected.approvedAt && ` · approved ${new Date(selected.approvedAt).toLocaleString()} by ${selected.approvedBy?.username}`}
+                                {selected.reasonCode && ` · ${STOCKTAKE_REASON_CODES[selected.reasonCode] || selected.reasonCode}`}
+                            </p>
+
+                            {selected.summary && (
+                                <div className="grid grid-cols-4 gap-2 text-center mb-4 text-sm">
+                                    <div className="bg-gray-50 rounded-md p-2">
+                                        <div className="text-xs text-gray-500">Uncounted</div>
+                                        <div className="font-semibold">{selected.summary.uncounted}</div>
+                                    </div>
+                                    <div className="bg-gray-50 rounded-md p-2">
+                                        <div className="text-xs text-gray-500">Disputed</div>
+                                        <div className={`font-semibold ${selected.summary.disputed ? 'text-red-600' : ''}`}>{selected.summary.disputed}</div>
+                                    </div>
+                                    <div className="bg-gray-50 rounded-md p-2">
+                                        <div className="text-xs text-gray-500">With variance</div>
+                                        <div className="font-semibold">{selected.summary.withVariance}</div>
+                                    </div>
+                                    <div className="bg-gray-50 rounded-md p-2">
+                                        <div className="text-xs text-gray-500">Net variance</div>
+                                        <div className="font-semibold">{selected.summary.netVariance > 0 && '+'}{selected.summary.netVariance}</div>
+                                    </div>
+                                </div>
+                            )}
+
+                            <div className="overflow-x-auto">
+                                <table className="w-full text-left text-sm mb-4">
+                                    <thead>
+                                        <tr className="border-b">
+                                            <th className="py-1 px-2">Item</th>
+                                            {!hidden && <th className="py-1 px-2">Expected</th>}
+                                            {!hidden && <th className="py-1 px-2">Counts</th>}
+                                            {selected.status === 'counting' && <th className="py-1 px-2">My Count</th>}
+                                            {!hidden && <th className="py-1 px-2">Counted</th>}
+                                            {!hidden && <th className="py-1 px-2">Variance</th>}
+                                            {selected.status === 'approved' && <th className="py-1 px-2">Posted</th>}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {selected.lines.map(line => (
+                                            <tr key={line._id} className={`border-b ${line.state === 'disputed' ? 'bg-red-50' : ''}`}>
+                                                <td className="py-1 px-2">
+                                                    {line.item?.name || 'Deleted item'}
+                                                    {line.item?.sku && <span className="text-gray-400"> · {line.item.sku}</span>}
+                                                </td>
+                                                {!hidden && <td className="py-1 px-2">{line.expected}</td>}
+                                                {!hidden && (
+                                                    <td className="py-1 px-2 text-gray-600">
+                                                        {line.counts.length === 0 ? '-' : line.counts.map(c => `${c.quantity} (${c.user.username})`).join(', ')}
+                                                    </td>
+                                                )}
+                                                {selected.status === 'counting' && (
+                                                    <td className="py-1 px-2">
+                                                        <input
+                                                            type="number"
+                                                            min="0"
+                                                            step="any"
+                                                            value={myCounts[line.item?._id] ?? ''}
+                                                            onChange={(e) => setMyCounts({ ...myCounts, [line.item?._id]: e.target.value })}
+                                                            className="w-20 px-2 py-1 border rounded-md"
+                                                            disabled={!line.item}
+                                                        />
+                                                    </td>
+                                                )}
+                                                {!hidden && (
+                                                    <td className="py-1 px-2">
+                                                        {selected.status === 'review' && canManage && ['disputed', 'settled'].includes(line.state) ? (
+                                                            <input
+                                                                type="number"
+                                                                min="0"
+                                                                step="any"
+                                                                placeholder="Settle"
+                                                                value={settle[line.item?._id] ?? line.final ?? ''}
+                                                                onChange={(e) => setSettle({ ...settle, [line.item?._id]: e.target.value })}
+                                                                className="w-20 px-2 py-1 border rounded-md"
+                                                            />
+                                                        ) : (
+                                                            line.counted ?? '-'
+                                                        )}
+                                                    </td>
+                                                )}
+                                                {!hidden && (
+                                                    <td className={`py-1 px-2 ${line.variance < 0 ? 'text-red-600' : line.variance > 0 ? 'text-green-600' : ''}`}>
+                                                        {line.variance == null ? '-' : `${line.variance > 0 ? '+' : ''}${line.variance}`}
+                                                    </td>
+                                                )}
+                                                {selected.status === 'approved' && (
+                                                    <td className="py-1 px-2">
+                                                        {line.movement ? 'Yes' : line.error ? <span className="text-red-600">{line.error}</span> : '-'}
+                                                    </td>
+                                                )}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <div className="flex flex-wrap items-center gap-3 text-sm">
+                                {selected.status === 'counting' && (
+                                    <button onClick={handleSaveCounts} className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md">
+                                        Save My Counts
+                                    </button>
+                                )}
+                                {canManage && selected.status === 'counting' && (
+                                    <button onClick={() => handleStatus('review')} className="text-blue-600 hover:text-blue-800">
+                                        Close Counting for Review
+                                    </button>
+                                )}
+                                {canManage && selected.status === 'review' && (
+                                    <>
+                                        <select
+                                            value={reasonCode}
+                                            onChange={(e) => setReasonCode(e.target.value)}
+                                            className="px-2 py-1 border rounded-md"
+                                        >
+                                            {Object.entries(STOCKTAKE_REASON_CODES).map(([code, label]) => (
+                                                <option key={code} value={code}>{label}</option>
+                                            ))}
+                                        </select>
+                                        <button onClick={handleApprove} className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-md">
+                                            Approve &amp; Post Adjustments
+                                        </button>
+                                        <button onClick={() => handleStatus('counting')} className="text-blue-600 hover:text-blue-800">
+                                            Reopen Counting
+                                        </button>
+                                    </>
+                                )}
+                                {canManage && selected.status === 'approved' && selected.lines.some(l => l.error && !l.movement) && (
+                                    <button onClick={handleRetry} className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded-md">
+                                        Retry Failed Adjustments
+                                    </button>
+                                )}
+                                {canManage && ['counting', 'review'].includes(selected.status) && (
+                                    <button onClick={() => handleStatus('cancelled')} className="text-red-500 hover:text-red-700">
+                                        Cancel Stocktake
+                                    </button>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// --- Users Component (admins only) ---
+// Lists every account and lets an admin change roles
+function UsersView({ currentUser }) {
+    const [users, setUsers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    // Pending invitations, and the form for a new one
+    const [invitations, setInvitations] = useState([]);
+    const [inviteRole, setInviteRole] = useState('viewer');
+    const [inviteUsername, setInviteUsername] = useState('');
+
+    const fetchUsers = async () => {
+        try {
+            setLoading(true);
+            const res = await axios.get(`${API_URL}/users`);
+            setUsers(res.data);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch users.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchInvitations = async () => {
+        try {
+            const res = await axios.get(`${API_URL}/invitations`);
+            setInvitations(res.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch invitations.');
+        }
+    };
+
+    useEffect(() => {
+        fetchUsers();
+        fetchInvitations();
+    }, []);
+
+    const handleRemove = async (u) => {
+        if (!window.confirm(`Remove ${u.username} from this organization?`)) return;
+        try {
+            await axios.delete(`${API_URL}/users/${u._id}`);
+            await fetchUsers();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to remove user.');
+        }
+    };
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        try {
+            await axios.post(`${API_URL}/invitations`, { role: inviteRole, username: inviteUsername.trim() || undefined });
+            setInviteUsername('');
+            await fetchInvitations();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to create invitation.');
+        }
+    };
+
+    const handleWithdraw = async (invitationId) => {
+        try {
+            await axios.delete(`${API_URL}/invitations/${invitationId}`);
+            await fetchInvitations();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to withdraw invitation.');
+        }
+    };
+
+    const handleRoleChange = async (userId, role) => {
+        try {
+            await axios.put(`${API_URL}/users/${userId}/role`, { role });
+            await fetchUsers();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to change role.');
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md">
+            <h3 className="text-xl font-bold mb-4">Users</h3>
+            <p className="text-sm text-gray-500 mb-4">
+                Members of this organization. Role changes and removals take effect within a few minutes, when the user's session is next refreshed.
+            </p>
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+            {loading ? (
+                <p>Loading users...</p>
+            ) : (
+                <table className="w-full text-left">
+                    <thead>
+                        <tr className="border-b">
+                            <th className="py-2 px-3">Username</th>
+                            <th className="py-2 px-3">Role</th>
+                            <th className="py-2 px-3">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {users.map(u => (
+                            <tr key={u._id} className="border-b hover:bg-gray-50">
+                                <td className="py-3 px-3 font-medium">
+                                    {u.username}
+                                    {u._id === currentUser?.id && <span className="text-gray-400 text-sm"> (you)</span>}
+                                </td>
+                                <td className="py-3 px-3">
+                                    <select
+                                        value={u.role}
+                                        onChange={(e) => handleRoleChange(u._id, e.target.value)}
+                                        className="px-2 py-1 border rounded-md"
+                                    >
+                                        <option value="admin">Admin</option>
+                                        <option value="manager">Manager</option>
+                                        <option value="viewer">Viewer</option>
+                                    </select>
+                                </td>
+                                <td className="py-3 px-3">
+                                    <button onClick={() => handleRemove(u)} className="text-red-600 hover:underline">
+                                        Remove
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            <h4 className="text-lg font-semibold mt-8 mb-2">Invitations</h4>
+            <p className="text-sm text-gray-500 mb-4">
+                Give the code to the person you're inviting. They enter it when registering, or under "Join with invitation code" if they already have an account.
+            </p>
+            <form onSubmit={handleInvite} className="flex flex-wrap items-end gap-2 mb-4">
+                <div>
+                    <label className="block text-gray-700 text-sm mb-1">Username (optional)</label>
+                    <input
+                        type="text"
+                        value={inviteUsername}
+                        onChange={(e) => setInviteUsername(e.target.value)}
+                        placeholder="Anyone with the code"
+                        className="px-3 py-2 border rounded-md"
+                    />
+                </div>
+                <div>
+                    <label className="block text-gray-700 text-sm mb-1">Role</label>
+                    <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} className="px-3 py-2 border rounded-md">
+                        <option value="admin">Admin</option>
+                        <option value="manager">Manager</option>
+                        <option value="viewer">Viewer</option>
+                    </select>
+                </div>
+                <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md">
+                    Create invitation
+                </button>
+            </form>
+            {invitations.length === 0 ? (
+                <p className="text-gray-500 text-sm">No pending invitations.</p>
+            ) : (
+                <table className="w-full text-left text-sm">
+                    <thead>
+                        <tr className="border-b">
+                            <th className="py-2 px-3">Code</th>
+                            <th className="py-2 px-3">For</th>
+                            <th className="py-2 px-3">Role</th>
+                            <th className="py-2 px-3">Expires</th>
+                            <th className="py-2 px-3"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {invitations.map(inv => (
+                            <tr key={inv._id} className="border-b">
+                                <td className="py-2 px-3 font-mono">{inv.code}</td>
+                                <td className="py-2 px-3">{inv.username || 'Anyone'}</td>
+                                <td className="py-2 px-3">{inv.role}</td>
+                                <td className="py-2 px-3">{new Date(inv.expiresAt).toLocaleDateString()}</td>
+                                <td className="py-2 px-3">
+                                    <button onClick={() => handleWithdraw(inv._id)} className="text-red-600 hover:underline">
+                                        Withdraw
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+// --- Reports Component ---
+// Trends worked out on the server, each with a chart or table and a CSV download
+
+// Value for a date input, `daysAgo` days before today in local time
+const dateInputValue = (daysAgo = 0) => {
+    const date = new Date();
+    date.setDate(date.getDate() - daysAgo);
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(n => String(n).padStart(2, '0')).join('-');
+};
+
+// A titled report panel with its own controls and a CSV download button
+function ReportSection({ title, controls, onDownload, children }) {
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                <h3 className="text-xl font-bold">{title}</h3>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    {controls}
+                    <button onClick={onDownload} className="border px-2 py-1 rounded-md hover:bg-gray-50">
+                        Download CSV
+                    </button>
+                </div>
+            </div>
+            {children}
+        </div>
+    );
+}
+
+function ReportsView() {
+    const [error, setError] = useState('');
+
+    // Date range shared by the stock level and top mover reports
+    const [from, setFrom] = useState(dateInputValue(30));
+    const [to, setTo] = useState(dateInputValue());
+    const [levelInterval, setLevelInterval] = useState('day');
+    const [moverBy, setMoverBy] = useState('out');
+    const [slowDays, setSlowDays] = useState(90);
+    const [forecastDays, setForecastDays] = useState(30);
+    const [horizon, setHorizon] = useState(30);
+    const [valuationMethod, setValuationMethod] = useState('fifo');
+    const [asOf, setAsOf] = useState(''); // '' values the stock as it is now
+
+    // Report responses
+    const [levels, setLevels] = useState(null);
+    const [movers, setMovers] = useState(null);
+    const [slowStock, setSlowStock] = useState(null);
+    const [forecast, setForecast] = useState(null);
+    const [valuation, setValuation] = useState(null);
+
+    // Dates cover whole days in the browser's timezone, which also decides where days, weeks and months start.
+    // A date input that's been cleared is '' and left out.
+    const rangeParams = {
+        from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+        to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+    };
+    const levelParams = { ...rangeParams, interval: levelInterval, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone };
+    const moverParams = { ...rangeParams, by: moverBy };
+    const slowParams = { days: slowDays };
+    const forecastParams = { days: forecastDays, horizon };
+    const valuationParams = {
+        method: valuationMethod,
+        asOf: asOf ? new Date(`${asOf}T23:59:59.999`).toISOString() : undefined,
+    };
+
+    const fetchReport = async (report, params, setData) => {
+        try {
+            const res = await axios.get(`${API_URL}/reports/${report}`, { params });
+            setData(res.data);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch report.');
+        }
+    };
+
+    const handleDownload = async (report, params) => {
+        try {
+            await downloadFile(`${API_URL}/reports/${report}`, { ...params, format: 'csv' }, `${report}.csv`);
+        } catch (err) {
+            setError('Failed to download report.');
+        }
+    };
+
+    useEffect(() => {
+        if (from && to) fetchReport('stock-levels', levelParams, setLevels);
+    }, [from, to, levelInterval]);
+
+    useEffect(() => {
+        if (from && to) fetchReport('top-movers', moverParams, setMovers);
+    }, [from, to, moverBy]);
+
+    useEffect(() => {
+        fetchReport('slow-stock', slowParams, setSlowStock);
+    }, [slowDays]);
+
+    useEffect(() => {
+        fetchReport('stockout-forecast', forecastParams, setForecast);
+    }, [forecastDays, horizon]);
+
+    useEffect(() => {
+        fetchReport('valuation', valuationParams, setValuation);
+    }, [valuationMethod, asOf]);
+
+    const periodLabel = (date) => new Date(date).toLocaleDateString(
+        undefined,
+        levelInterval === 'month' ? { month: 'short', year: 'numeric' } : { month: 'short', day: 'numeric' }
+    );
+
+    const numberInput = (value, onChange, label) => (
+        <label className="flex items-center gap-1">
+            {label}
+            <input
+                type="number"
+                min="1"
+                value={value}
+                onChange={(e) => onChange(Number(e.target.value) || 1)}
+                className="w-16 px-2 py-1 border rounded-md"
+            />
+        </label>
+    );
+
+    return (
+        <div className="space-y-8">
+            <div className="bg-white p-6 rounded-lg shadow-md flex flex-wrap items-end gap-4">
+                <div>
+                    <label className="block text-gray-700 text-sm mb-1">From</label>
+                    <input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className="px-3 py-2 border rounded-md" />
+                </div>
+                <div>
+                    <label className="block text-gray-700 text-sm mb-1">To</label>
+                    <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} className="px-3 py-2 border rounded-md" />
+                </div>
+                <p className="text-sm text-gray-500">The date range applies to stock levels and top movers.</p>
+            </div>
+            {error && <p className="text-red-500 text-sm">{error}</p>}
+
+            <ReportSection
+                title="Stock Levels"
+                onDownload={() => handleDownload('stock-levels', levelParams)}
+                controls={(
+                    <select value={levelInterval} onChange={(e) => setLevelInterval(e.target.value)} className="px-2 py-1 border rounded-md">
+                        <option value="day">Daily</option>
+                        <option value="week">Weekly</option>
+                        <option value="month">Monthly</option>
+                    </select>
+                )}
+            >
+                {!levels ? (
+                    <p>Loading report...</p>
+                ) : levels.rows.length === 0 ? (
+                    <p className="text-gray-500">No stock movements in this period. Stock stayed at {levels.opening}.</p>
+                ) : (
+                    <ResponsiveContainer width="100%" height={300}>
+                        <ComposedChart data={levels.rows.map(row => ({ ...row, label: periodLabel(row.date) }))}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="label" />
+                            <YAxis yAxisId="level" />
+                            <YAxis yAxisId="flow" orientation="right" />
+                            <Tooltip />
+                            <Legend />
+                            <Bar yAxisId="flow" dataKey="inbound" name="In" fill="#16a34a" />
+                            <Bar yAxisId="flow" dataKey="outbound" name="Out" fill="#dc2626" />
+                            <Line yAxisId="level" type="stepAfter" dataKey="level" name="Stock level" stroke="#2563eb" dot={false} />
+                        </ComposedChart>
+                    </ResponsiveContainer>
+                )}
+            </ReportSection>
+
+            <ReportSection
+                title="Top Movers"
+                onDownload={() => handleDownload('top-movers', moverParams)}
+                controls={(
+                    <select value={moverBy} onChange={(e) => setMoverBy(e.target.value)} className="px-2 py-1 border rounded-md">
+                        <option value="out">Most stock out</option>
+                        <option value="in">Most stock in</option>
+                        <option value="total">Most stock moved</option>
+                    </select>
+                )}
+            >
+                {!movers ? (
+                    <p>Loading report...</p>
+                ) : movers.rows.length === 0 ? (
+                    <p className="text-gray-500">No stock moved in this period.</p>
+                ) : (
+                    <ResponsiveContainer width="100%" height={Math.max(movers.rows.length * 32, 120)}>
+                        <BarChart data={movers.rows} layout="vertical" margin={{ left: 40 }}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis type="number" />
+                            <YAxis type="category" dataKey="name" width={120} />
+                            <Tooltip />
+                            <Legend />
+                            {moverBy !== 'in' && <Bar dataKey="outbound" name="Out" fill="#dc2626" stackId="moved" />}
+                            {moverBy !== 'out' && <Bar dataKey="inbound" name="In" fill="#16a34a" stackId="moved" />}
+                        </BarChart>
+                    </ResponsiveContainer>
+                )}
+            </ReportSection>
+
+            <ReportSection
+                title="Trending Toward Stockout"
+                onDownload={() => handleDownload('stockout-forecast', forecastParams)}
+                controls={(
+                    <>
+                        {numberInput(forecastDays, setForecastDays, 'Usage over last')}
+                        <span>days, within</span>
+                        {numberInput(horizon, setHorizon, '')}
+                        <span>days</span>
+                    </>
+                )}
+            >
+                {!forecast ? (
+                    <p>Loading report...</p>
+                ) : forecast.rows.length === 0 ? (
+                    <p className="text-gray-500">Nothing is on course to run out within {forecast.horizon} days.</p>
+                ) : (
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="border-b">
+                                <th className="py-2 px-3">Item</th>
+                                <th className="py-2 px-3">In Stock</th>
+                                <th className="py-2 px-3">Used per Day</th>
+                                <th className="py-2 px-3">Days Left</th>
+                                <th className="py-2 px-3">Runs Out</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {forecast.rows.map(row => (
+                                <tr key={row.itemId} className={`border-b ${row.daysLeft <= 7 ? 'bg-red-50' : ''}`}>
+                                    <td className="py-2 px-3 font-medium">
+                                        {row.name}
+                                        {row.sku && <span className="block text-xs text-gray-500">{row.sku}</span>}
+                                    </td>
+                                    <td className="py-2 px-3">{row.quantity}</td>
+                                    <td className="py-2 px-3">{row.dailyUsage}</td>
+                                    <td className="py-2 px-3">{row.daysLeft}</td>
+                                    <td className="py-2 px-3">{new Date(row.stockoutDate).toLocaleDateString()}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </ReportSection>
+
+            <ReportSection
+                title="Slow & Dead Stock"
+                onDownload={() => handleDownload('slow-stock', slowParams)}
+                controls={(
+                    <>
+                        {numberInput(slowDays, setSlowDays, 'No movement in')}
+                        <span>days</span>
+                    </>
+                )}
+            >
+                {!slowStock ? (
+                    <p>Loading report...</p>
+                ) : slowStock.rows.length === 0 ? (
+                    <p className="text-gray-500">Every item in stock has moved in the last {slowStock.days} days.</p>
+                ) : (
+                    <>
+                        <p className="text-sm text-gray-600 mb-2">
+                            {slowStock.rows.length} {slowStock.rows.length === 1 ? 'item' : 'items'} worth {formatMoney(slowStock.totalValue)} at cost
+                        </p>
+                        <table className="w-full text-left text-sm">
+                            <thead>
+                                <tr className="border-b">
+                                    <th className="py-2 px-3">Item</th>
+                                    <th className="py-2 px-3">In Stock</th>
+                                    <th className="py-2 px-3">Value</th>
+                                    <th className="py-2 px-3">Last Movement</th>
+                                    <th className="py-2 px-3">Last Issued</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {slowStock.rows.map(row => (
+                                    <tr key={row.itemId} className="border-b">
+                                        <td className="py-2 px-3 font-medium">
+                                            {row.name}
+                                            {row.sku && <span className="block text-xs text-gray-500">{row.sku}</span>}
+                                        </td>
+                                        <td className="py-2 px-3">{row.quantity}</td>
+                                        <td className="py-2 px-3">{formatMoney(row.value)}</td>
+                                        <td className="py-2 px-3">
+                                            {new Date(row.lastMovementAt).toLocaleDateString()}
+                                            <span className="text-gray-500"> ({row.daysIdle} days ago)</span>
+                                        </td>
+                                        <td className="py-2 px-3">{row.lastIssuedAt ? new Date(row.lastIssuedAt).toLocaleDateString() : 'Never'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </>
+                )}
+            </ReportSection>
+
+            <ReportSection
+                title="Valuation"
+                onDownload={() => handleDownload('valuation', valuationParams)}
+                controls={(
+                    <>
+                        <select value={valuationMethod} onChange={(e) => setValuationMethod(e.target.value)} className="px-2 py-1 border rounded-md">
+                            <option value="fifo">FIFO</option>
+                            <option value="average">Weighted average</option>
+                        </select>
+                        <label className="flex items-center gap-1">
+                            As of
+                            <input type="date" value={asOf} onChange={(e) => setAsOf(e.target.value)} className="px-2 py-1 border rounded-md" />
+                        </label>
+                    </>
+                )}
+            >
+                {!valuation ? (
+                    <p>Loading report...</p>
+                ) : (
+                    <>
+                        <p className="text-sm text-gray-600 mb-2">
+                            {valuation.totalQuantity} units worth <span className="font-semibold">{formatMoney(valuation.totalValue)}</span> at
+                            cost and {formatMoney(valuation.totalRetailValue)} at selling price
+                        </p>
+                        {valuation.items.length > 0 && (
+                            <ResponsiveContainer width="100%" height={Math.max(Math.min(valuation.items.length, 10) * 32, 120)}>
+                                <BarChart data={valuation.items.slice(0, 10).map(row => ({ ...row, name: row.item.name }))} layout="vertical" margin={{ left: 40 }}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis type="number" />
+                                    <YAxis type="category" dataKey="name" width={120} />
+                                    <Tooltip formatter={(value) => formatMoney(value)} />
+                                    <Bar dataKey="value" name="Value at cost" fill="#2563eb" />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        )}
+                    </>
+                )}
+            </ReportSection>
+        </div>
+    );
+}
+
+// --- Webhooks Component (admins only) ---
+const DELIVERY_STATUS_STYLES = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    succeeded: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+};
+
+// A random webhook secret, for rotating one from the browser
+const randomSecret = () => Array.from(window.crypto.getRandomValues(new Uint8Array(24)), b => b.toString(16).padStart(2, '0')).join('');
+
+function WebhooksView() {
+    const [webhooks, setWebhooks] = useState([]);
+    const [eventTypes, setEventTypes] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    // New webhook form
+    const [url, setUrl] = useState('');
+    const [events, setEvents] = useState([]);
+    const [secret, setSecret] = useState(''); // Blank lets the server generate one
+    const [description, setDescription] = useState('');
+    const [shownSecret, setShownSecret] = useState(null); // { url, secret }, shown once after it's set
+
+    // Delivery log of the selected webhook
+    const [selected, setSelected] = useState(null);
+    const [deliveries, setDeliveries] = useState([]);
+    const [page, setPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+    const [expanded, setExpanded] = useState(null); // Delivery whose details are shown
+
+    const fetchWebhooks = async () => {
+        try {
+            const res = await axios.get(`${API_URL}/webhooks`);
+            setWebhooks(res.data.webhooks);
+            setEventTypes(res.data.events);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch webhooks.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchDeliveries = async () => {
+        if (!selected) return;
+        try {
+            const res = await axios.get(`${API_URL}/webhooks/${selected._id}/deliveries`, { params: { page } });
+            setDeliveries(res.data.deliveries);
+            setTotalPages(Math.max(res.data.totalPages, 1));
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch deliveries.');
+        }
+    };
+
+    useEffect(() => {
+        fetchWebhooks();
+    }, []);
+
+    useEffect(() => {
+        fetchDeliveries();
+    }, [selected, page]);
+
+    const toggleEvent = (event) => {
+        setEvents(events.includes(event) ? events.filter(e => e !== event) : [...events, event]);
+    };
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await axios.post(`${API_URL}/webhooks`, { url, events, secret: secret || undefined, description });
+            setShownSecret({ url: res.data.url, secret: res.data.secret });
+            setUrl('');
+            setEvents([]);
+            setSecret('');
+            setDescription('');
+            await fetchWebhooks();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to add webhook.');
+        }
+    };
+
+    const handleUpdate = async (webhook, changes) => {
+        try {
+            const res = await axios.put(`${API_URL}/webhooks/${webhook._id}`, changes);
+            if (changes.secret) setShownSecret({ url: res.data.url, secret: res.data.secret });
+            await fetchWebhooks();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update webhook.');
+        }
+    };
+
+    const handleRotateSecret = (webhook) => {
+        if (!window.confirm('Replace the secret? Deliveries are signed with the new one straight away.')) return;
+        handleUpdate(webhook, { secret: randomSecret() });
+    };
+
+    const handleDelete = async (webhook) => {
+        if (!window.confirm(`Remove the webhook for ${webhook.url}?`)) return;
+        try {
+            await axios.delete(`${API_URL}/webhooks/${webhook._id}`);
+            if (selected?._id === webhook._id) setSelected(null);
+            await fetchWebhooks();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to remove webhook.');
+        }
+    };
+
+    const showDeliveries = (webhook) => {
+        setSelected(webhook);
+        setPage(1);
+        setExpanded(null);
+    };
+
+    const handleTest = async (webhook) => {
+        try {
+            await axios.post(`${API_URL}/webhooks/${webhook._id}/test`);
+            if (selected?._id === webhook._id) await fetchDeliveries();
+            else showDeliveries(webhook);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to send test delivery.');
+        }
+    };
+
+    const handleRedeliver = async (delivery) => {
+        try {
+            await axios.post(`${API_URL}/webhooks/deliveries/${delivery._id}/redeliver`);
+            setPage(1);
+            await fetchDeliveries();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to redeliver.');
+        }
+    };
+
+    return (
+        <div className="space-y-8">
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h3 className="text-xl font-bold mb-4">Webhooks</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                    Each event is POSTed as JSON. The X-Webhook-Signature header holds an HMAC-SHA256 of
+                    {' '}<code>timestamp.body</code> (timestamp from X-Webhook-Timestamp) keyed with the webhook's secret.
+                    Failed deliveries are retried with increasing delays.
+                </p>
+                {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+                {shownSecret && (
+                    <div className="bg-yellow-100 border border-yellow-300 text-yellow-900 p-3 rounded-md mb-4 text-sm">
+                        Secret for {shownSecret.url}: <code className="font-mono">{shownSecret.secret}</code>
+                        <span className="block">Copy it now; it won't be shown again.</span>
+                        <button onClick={() => setShownSecret(null)} className="underline mt-1">Done</button>
+                    </div>
+                )}
+
+                <form onSubmit={handleAdd} className="border rounded-md p-4 mb-6 space-y-2">
+                    <h4 className="font-semibold">Add Webhook</h4>
+                    <input
+                        type="url"
+                        placeholder="https://example.com/hooks/inventory"
+                        value={url}
+                        onChange={(e) => setUrl(e.target.value)}
+                        className="w-full px-3 py-2 border rounded-md"
+                        required
+                    />
+                    <div className="flex flex-wrap gap-4 text-sm">
+                        {eventTypes.map(event => (
+                            <label key={event} className="flex items-center space-x-1">
+                                <input type="checkbox" checked={events.includes(event)} onChange={() => toggleEvent(event)} />
+                                <span>{event}</span>
+                            </label>
+                        ))}
+                    </div>
+                    <div className="flex space-x-2">
+                        <input
+                            type="text"
+                            placeholder="Secret (blank to generate one)"
+                            value={secret}
+                            onChange={(e) => setSecret(e.target.value)}
+                            className="flex-1 min-w-0 px-3 py-2 border rounded-md"
+                        />
+                        <input
+                            type="text"
+                            placeholder="Description"
+                            value={description}
+                            onChange={(e) => setDescription(e.target.value)}
+                            className="flex-1 min-w-0 px-3 py-2 border rounded-md"
+                        />
+                    </div>
+                    <button
+                        type="submit"
+                        disabled={events.length === 0}
+                        className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md disabled:opacity-50"
+                    >
+                        Add
+                    </button>
+                </form>
+
+                {loading ? (
+                    <p>Loading webhooks...</p>
+                ) : webhooks.length === 0 ? (
+                    <p className="text-gray-500">No webhooks yet.</p>
+                ) : (
+                    <table className="w-full text-left text-sm">
+                        <thead>
+                            <tr className="border-b">
+                                <th className="py-2 px-3">URL</th>
+                                <th className="py-2 px-3">Events</th>
+                                <th className="py-2 px-3">Status</th>
+                                <th className="py-2 px-3">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {webhooks.map(webhook => (
+                                <tr key={webhook._id} className={`border-b ${selected?._id === webhook._id ? 'bg-blue-50' : ''}`}>
+                                    <td className="py-2 px-3 break-all">
+                                        {webhook.url}
+                                        {webhook.description && <span className="block text-xs text-gray-500">{webhook.description}</span>}
+                                    </td>
+                                    <td className="py-2 px-3">{webhook.events.join(', ')}</td>
+                                    <td className="py-2 px-3">
+                                        {webhook.active ? 'Active' : 'Paused'}
+                                        {webhook.lastStatus && (
+                                            <span className="block text-xs text-gray-500">
+                                                Last delivery {webhook.lastStatus}, {new Date(webhook.lastAttemptAt).toLocaleString()}
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td className="py-2 px-3 space-x-2 whitespace-nowrap">
+                                        <button onClick={() => showDeliveries(webhook)} className="text-blue-600 hover:underline">Deliveries</button>
+                                        <button onClick={() => handleTest(webhook)} className="text-blue-600 hover:underline">Test</button>
+                                        <button onClick={() => handleUpdate(webhook, { active: !webhook.active })} className="text-gray-600 hover:underline">
+                                            {webhook.active ? 'Pause' : 'Resume'}
+                                        </button>
+                                        <button onClick={() => handleRotateSecret(webhook)} className="text-gray-600 hover:underline">New secret</button>
+                                        <button onClick={() => handleDelete(webhook)} className="text-red-600 hover:underline">Remove</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+
+            {selected && (
+                <div className="bg-white p-6 rounded-lg shadow-md">
+                    <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-xl font-bold break-all">Deliveries: {selected.url}</h3>
+                        <div className="space-x-2 text-sm whitespace-nowrap">
+                            <button onClick={fetchDeliveries} className="border px-2 py-1 rounded-md hover:bg-gray-50">Refresh</button>
+                            <button onClick={() => setSelected(null)} className="text-gray-500 hover:text-gray-700">Close</button>
+                        </div>
+                    </div>
+                    {deliveries.length === 0 ? (
+                        <p className="text-gray-500">Nothing delivered yet.</p>
+                    ) : (
+                        <table className="w-full text-left text-sm">
+                            <thead>
+                                <tr className="border-b">
+                                    <th className="py-2 px-3">Queued</th>
+                                    <th className="py-2 px-3">Event</th>
+                                    <th className="py-2 px-3">Status</th>
+                                    <th className="py-2 px-3">Attempts</th>
+                                    <th className="py-2 px-3">Response</th>
+                                    <th className="py-2 px-3"></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {deliveries.map(delivery => (
+                                    <React.Fragment key={delivery._id}>
+                                        <tr className="border-b">
+                                            <td className="py-2 px-3 whitespace-nowrap">{new Date(delivery.createdAt).toLocaleString()}</td>
+                                            <td className="py-2 px-3">{delivery.event}</td>
+                                            <td className="py-2 px-3">
+                                                <span className={`px-2 py-0.5 rounded text-xs ${DELIVERY_STATUS_STYLES[delivery.status]}`}>
+                                                    {delivery.status === 'pending' && delivery.attempts > 0 ? 'retrying' : delivery.status}
+                                                </span>
+                                                {delivery.status === 'pending' && delivery.attempts > 0 && (
+                                                    <span className="block text-xs text-gray-500">next {new Date(delivery.nextAttemptAt).toLocaleTimeString()}</span>
+                                                )}
+                                            </td>
+                                            <td className="py-2 px-3">{delivery.attempts}</td>
+                                            <td className="py-2 px-3">{delivery.responseStatus || delivery.error || '-'}</td>
+                                            <td className="py-2 px-3 space-x-2 whitespace-nowrap">
+                                                <button
+                                                    onClick={() => setExpanded(expanded === delivery._id ? null : delivery._id)}
+                                                    className="text-blue-600 hover:underline"
+                                                >
+                                                    {expanded === delivery._id ? 'Hide' : 'Details'}
+                                                </button>
+                                                {delivery.status !== 'pending' && (
+                                                    <button onClick={() => handleRedeliver(delivery)} className="text-blue-600 hover:underline">
+                                                        Redeliver
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                        {expanded === delivery._id && (
+                                            <tr className="border-b bg-gray-50">
+                                                <td colSpan="6" className="py-2 px-3 text-xs">
+                                                    {delivery.error && <p className="text-red-600 mb-1">{delivery.error}</p>}
+                                                    {delivery.responseBody && (
+                                                        <pre className="whitespace-pre-wrap mb-1">Response: {delivery.responseBody}</pre>
+                                                    )}
+                                                    <pre className="whitespace-pre-wrap">{JSON.stringify(delivery.payload, null, 2)}</pre>
+                                                </td>
+                                            </tr>
+                                        )}
+                                    </React.Fragment>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    <div className="flex justify-end items-center space-x-2 mt-4 text-sm">
+                        <button
+                            onClick={() => setPage(page - 1)}
+                            disabled={page <= 1}
+                            className="border px-2 py-1 rounded-md disabled:opacity-50"
+                        >
+                            Previous
+                        </button>
+                        <span>Page {page} of {totalPages}</span>
+                        <button
+                            onClick={() => setPage(page + 1)}
+                            disabled={page >= totalPages}
+                            className="border px-2 py-1 rounded-md disabled:opacity-50"
+                        >
+                            Next
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// --- Audit Log Component ---
+
+// Actions recorded by the backend, for the filter dropdown. Prefixes ending in "." match a whole group.
+const AUDIT_ACTIONS = [
+    'auth.', 'auth.register', 'auth.login', 'auth.login_failed', 'auth.logout', 'auth.logout_all', 'auth.switch_organization',
+    'item.', 'item.create', 'item.update', 'item.adjust', 'item.delete', 'item.restore', 'item.purge', 'item.movement', 'item.transfer', 'item.import',
+    'user.', 'user.role_change', 'user.remove',
+    'invitation.', 'organization.create',
+    'notification.update',
+    'webhook.', 'webhook.create', 'webhook.update', 'webhook.delete',
+    'reservation.', 'reservation.create', 'reservation.release', 'reservation.fulfil',
+    'stocktake.', 'stocktake.create', 'stocktake.update', 'stocktake.approve', 'stocktake.retry',
+];
+
+// Short display form of a value from an audit diff
+const formatAuditValue = (value) => {
+    if (value === undefined || value === null || value === '') return '-';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+function AuditView() {
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [filters, setFilters] = useState({ action: '', actor: '', targetId: '', from: '', to: '' });
+    const [page, setPage] = useState(1);
+    const [totalPages, setTotalPages] = useState(1);
+    const [total, setTotal] = useState(0);
+    const [expanded, setExpanded] = useState(null); // Entry whose changes are shown
+
+    const fetchEntries = async () => {
+        try {
+            setLoading(true);
+            // Dates cover whole days
+            const params = {
+                ...filters,
+                from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : '',
+                to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : '',
+                page,
+            };
+            const res = await axios.get(`${API_URL}/audit`, {
+                params: Object.fromEntries(Object.entries(params).filter(([, value]) => value !== '')),
+            });
+            setEntries(res.data.entries);
+            setTotal(res.data.total);
+            setTotalPages(Math.max(res.data.totalPages, 1));
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch the audit log.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchEntries();
+    }, [filters, page]);
+
+    const setFilter = (name, value) => {
+        setFilters({ ...filters, [name]: value });
+        setPage(1);
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md">
+            <h3 className="text-xl font-bold mb-4">Audit Log</h3>
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+
+            <div className="flex flex-wrap items-end gap-2 mb-4">
+                <div>
+                    <label className="block text-gray-700 text-sm mb-1">Action</label>
+                    <select
+                        value={filters.action}
+                        onChange={(e) => setFilter('action', e.target.value)}
+                        className="px-3 py-2 border rounded-md"
+                    >
+                        <option value="">All actions</option>
+                        {AUDIT_ACTIONS.map(a => (
+                            <option key={a} value={a}>{a.endsWith('.') ? `${a}*` : a}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-gray-700 text-sm mb-1">User</label>
+                    <input
+                        type="text"
+                        value={filters.actor}
+                        onChange={(e) => setFilter('actor', e.target.value)}
+                        placeholder="Username"
+                        className="px-3 py-2 border rounded-md"
+                    />
+                </div>
+                <div>
+                    <label className="block text-gray-700 text-sm mb-1">Target ID</label>
+                    <input
+                        type="text"
+                        value={filters.targetId}
+                        onChange={(e) => setFilter('targetId', e.target.value)}
+                        className="px-3 py-2 border rounded-md"
+                    />
+                </div>
+                <div>
+                    <label className="block text-gray-700 text-sm mb-1">From</label>
+                    <input
+                        type="date"
+                        value={filters.from}
+                        onChange={(e) => setFilter('from', e.target.value)}
+                        className="px-3 py-2 border rounded-md"
+                    />
+                </div>
+                <div>
+                    <label className="block text-gray-700 text-sm mb-1">To</label>
+                    <input
+                        type="date"
+                        value={filters.to}
+                        onChange={(e) => setFilter('to', e.target.value)}
+                        className="px-3 py-2 border rounded-md"
+                    />
+                </div>
+            </div>
+
+            {loading ? (
+                <p>Loading audit log...</p>
+            ) : entries.length === 0 ? (
+                <p className="text-gray-500">No entries match these filters.</p>
+            ) : (
+                <table className="w-full text-left text-sm">
+                    <thead>
+                        <tr className="border-b">
+                            <th className="py-2 px-3">When</th>
+                            <th className="py-2 px-3">User</th>
+                            <th className="py-2 px-3">Action</th>
+                            <th className="py-2 px-3">Target</th>
+                            <th className="py-2 px-3">Changes</th>
+                            <th className="py-2 px-3">IP</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {entries.map(entry => (
+                            <React.Fragment key={entry._id}>
+                                <tr className="border-b hover:bg-gray-50 align-top">
+                                    <td className="py-2 px-3 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                                    <td className="py-2 px-3">{entry.actor?.username || '-'}</td>
+                                    <td className="py-2 px-3 font-mono">{entry.action}</td>
+                                    <td className="py-2 px-3">
+                                        {entry.target?.type && <span className="text-gray-500">{entry.target.type} </span>}
+                                        {entry.target?.label || entry.target?.id || ''}
+                                    </td>
+                                    <td className="py-2 px-3">
+                                        {entry.changes.length > 0 || entry.details ? (
+                                            <button
+                                                onClick={() => setExpanded(expanded === entry._id ? null : entry._id)}
+                                                className="text-blue-600 hover:underline"
+                                            >
+                                                {entry.changes.length > 0 ? `${entry.changes.length} field(s)` : 'Details'}
+                                            </button>
+                                        ) : '-'}
+                                    </td>
+                                    <td className="py-2 px-3 text-gray-500">{entry.ip}</td>
+                                </tr>
+                                {expanded === entry._id && (
+                                    <tr className="border-b bg-gray-50">
+                                        <td colSpan="6" className="py-2 px-3">
+                                            {entry.changes.length > 0 && (
+                                                <table className="w-full mb-2">
+                                                    <thead>
+                                                        <tr className="text-gray-500">
+                                                            <th className="pr-2">Field</th>
+                                                            <th className="pr-2">Before</th>
+                                                            <th>After</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {entry.changes.map(change => (
+                                                            <tr key={change.field}>
+                                                                <td className="pr-2 font-semibold">{change.field}</td>
+                                                                <td className="pr-2 break-all">{formatAuditValue(change.before)}</td>
+                                                                <td className="break-all">{formatAuditValue(change.after)}</td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            )}
+                                            {entry.details && (
+                                                <pre className="text-xs whitespace-pre-wrap break-all">
+                                                    {JSON.stringify(entry.details, null, 2)}
+                                                </pre>
+                                            )}
+                                        </td>
+                                    </tr>
+                                )}
+                            </React.Fragment>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+
+            {/* --- Pager --- */}
+            <div className="flex justify-between items-center mt-4 text-sm">
+                <span className="text-gray-600">
+                    Page {page} of {totalPages} ({total} {total === 1 ? 'entry' : 'entries'})
+                </span>
+                <div className="flex items-center space-x-2">
+                    <button
+                        onClick={() => setPage(page - 1)}
+                        disabled={page <= 1}
+                        className="border px-3 py-1 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                    >
+                        Previous
+                    </button>
+                    <button
+                        onClick={() => setPage(page + 1)}
+                        disabled={page >= totalPages}
+                        className="border px-3 py-1 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                    >
+                        Next
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// --- Trash Component ---
+// Deleted items, until they're purged for good after the retention period
+function TrashView() {
+    const [items, setItems] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    const fetchTrash = async () => {
+        try {
+            setLoading(true);
+            const res = await axios.get(`${API_URL}/items/trash`);
+            setItems(res.data.items);
+            setRetentionDays(res.data.retentionDays);
+            setError('');
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to fetch the trash.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchTrash();
+    }, []);
+
+    const handleRestore = async (itemId) => {
+        try {
+            await axios.post(`${API_URL}/items/${itemId}/restore`);
+            await fetchTrash();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to restore item.');
+        }
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md">
+            <h3 className="text-xl font-bold mb-4">Trash</h3>
+            {retentionDays && (
+                <p className="text-sm text-gray-500 mb-4">
+                    Deleted items are kept for {retentionDays} days and then removed permanently.
+                </p>
+            )}
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+            {loading ? (
+                <p>Loading trash...</p>
+            ) : items.length === 0 ? (
+                <p className="text-gray-500">The trash is empty.</p>
+            ) : (
+                <table className="w-full text-left">
+                    <thead>
+                        <tr className="border-b">
+                            <th className="py-2 px-3">Name</th>
+                            <th className="py-2 px-3">Quantity</th>
+                            <th className="py-2 px-3">Deleted</th>
+                            <th className="py-2 px-3">Removed for good on</th>
+                            <th className="py-2 px-3">Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {items.map(item => (
+                            <tr key={item._id} className="border-b hover:bg-gray-50">
+                                <td className="py-3 px-3 font-medium">
+                                    {item.name}
+                                    {item.sku && <span className="block text-xs text-gray-500">{item.sku}</span>}
+                                </td>
+                                <td className="py-3 px-3">{item.quantityHidden ? HIDDEN_QUANTITY : item.quantity}</td>
+                                <td className="py-3 px-3 text-sm text-gray-600">
+                                    {new Date(item.deletedAt).toLocaleString()}
+                                    {item.deletedBy?.username && ` by ${item.deletedBy.username}`}
+                                </td>
+                                <td className="py-3 px-3 text-sm text-gray-600">{new Date(item.purgeAt).toLocaleDateString()}</td>
+                                <td className="py-3 px-3">
+                                    <button onClick={() => handleRestore(item._id)} className="text-blue-600 hover:underline">
+                                        Restore
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+// --- Settings Component ---
+// Where notifications go and which ones the user gets for the current organization
+const SCHEDULE_LABELS = { daily: 'every morning', weekly: 'every Monday morning' };
+
+function SettingsView() {
+    const [settings, setSettings] = useState(null);
+    const [email, setEmail] = useState('');
+    const [subscriptions, setSubscriptions] = useState([]);
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+
+    const applySettings = (data) => {
+        setSettings(data);
+        setEmail(data.email);
+        setSubscriptions(data.subscriptions);
+    };
+
+    useEffect(() => {
+        const fetchSettings = async () => {
+            try {
+                const res = await axios.get(`${API_URL}/notifications/settings`);
+                applySettings(res.data);
+            } catch (err) {
+                setError(err.response?.data?.message || 'Failed to fetch settings.');
+            }
+        };
+        fetchSettings();
+    }, []);
+
+    const toggleSubscription = (topic) => {
+        setSubscriptions(subscriptions.includes(topic)
+            ? subscriptions.filter(t => t !== topic)
+            : [...subscriptions, topic]);
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        try {
+            const res = await axios.put(`${API_URL}/notifications/settings`, { email, subscriptions });
+            applySettings(res.data);
+            setError('');
+            setMessage('Settings saved.');
+        } catch (err) {
+            setMessage('');
+            setError(err.response?.data?.message || 'Failed to save settings.');
+        }
+    };
+
+    const handleTest = async () => {
+        try {
+            const res = await axios.post(`${API_URL}/notifications/test`);
+            setError('');
+            setMessage(res.data.message);
+        } catch (err) {
+            setMessage('');
+            setError(err.response?.data?.message || 'Failed to send test notification.');
+        }
+    };
+
+    if (!settings) {
+        return <div className="bg-white p-6 rounded-lg shadow-md">{error ? <p className="text-red-500">{error}</p> : <p>Loading settings...</p>}</div>;
+    }
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-md max-w-xl">
+            <h3 className="text-xl font-bold mb-4">Notifications</h3>
+            {settings.transport !== 'smtp' && (
+                <p className="text-sm text-yellow-800 bg-yellow-100 p-2 rounded mb-4">
+                    This server writes notifications to its {settings.transport === 'file' ? 'notification file' : 'console'} instead of sending email.
+                </p>
+            )}
+            {error && <p className="text-red-500 text-sm mb-4">{error}</p>}
+            {message && <p className="text-green-600 text-sm mb-4">{message}</p>}
+
+            <form onSubmit={handleSave}>
+                <div className="mb-4">
+                    <label className="block text-gray-700 mb-2" htmlFor="notificationEmail">Email address</label>
+                    <input
+                        type="email"
+                        id="notificationEmail"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        placeholder="you@example.com"
+                        className="w-full px-4 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Used for every organization you belong to. Leave blank to stop all notifications.</p>
+                </div>
+
+                <fieldset className="mb-4">
+                    <legend className="text-gray-700 mb-2">Send me, for this organization</legend>
+                    {settings.topics.map(topic => (
+                        <label key={topic.id} className="flex items-center space-x-2 mb-1">
+                            <input
+                                type="checkbox"
+                                checked={subscriptions.includes(topic.id)}
+                                onChange={() => toggleSubscription(topic.id)}
+                            />
+                            <span>{topic.label}</span>
+                            <span className="text-xs text-gray-500">({SCHEDULE_LABELS[topic.schedule]})</span>
+                        </label>
+                    ))}
+                </fieldset>
+
+                <div className="flex space-x-2">
+                    <button type="submit" className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-md">
+                        Save
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleTest}
+                        disabled={!settings.email}
+                        className="border px-4 py-2 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                        title={settings.email ? '' : 'Save an email address first'}
+                    >
+                        Send test
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+}